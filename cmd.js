@@ -2,19 +2,107 @@
 //@flow
 'use strict';
 
-const assert = require('assert');
 const fs = require('fs');
+const pathlib = require('path');
 const gen = require('./index');
+const {defaultOutputPath, findConfig, loadConfig} = require('./config');
+const {findFlowRoot} = require('./modules');
+/*::
+import type {Job, OutputFormat} from './config';
+import type {FlowLspClient} from './flowlsp';
+*/
 
+const TYPES_HASH_PATTERN = /^\/\/ Flow types hash: (\w+)$/m;
 
-async function writeValidatorSrc(srcPath/*: string*/, dstPath/*: ?string*/=null) {
+// Returns a summary of the differences between the existing file at `path` and `expected`, or null if they are equal.
+function diffSummary(path/*: string*/, expected/*: string*/)/*: ?string*/ {
+    if (!fs.existsSync(path)) {
+        return `${path}: missing`;
+    }
+    const actual = fs.readFileSync(path, 'utf-8');
+    if (actual === expected) {
+        return null;
+    }
+    let res = [`${path}: out of date`];
+
+    const actualHash = TYPES_HASH_PATTERN.exec(actual);
+    const expectedHash = TYPES_HASH_PATTERN.exec(expected);
+    if (expectedHash != null) {
+        if (actualHash == null) {
+            res.push('  flow types hash: (none) -> ' + expectedHash[1]);
+        } else if (actualHash[1] !== expectedHash[1]) {
+            res.push(`  flow types hash: ${actualHash[1]} -> ${expectedHash[1]}`);
+        } else {
+            res.push(`  flow types are unchanged (hash ${actualHash[1]}), so the options or the flow-jsonschema version differ`);
+        }
+    }
+
+    // The hash line is left out since it is summarized above.
+    const actualLines = actual.replace(TYPES_HASH_PATTERN, '').split('\n');
+    const expectedLines = expected.replace(TYPES_HASH_PATTERN, '').split('\n');
+    // Lines that are only in one of the files, counted regardless of their positions
+    let counts = new Map();
+    for (let line of actualLines) {
+        counts.set(line, (counts.get(line) || 0) + 1);
+    }
+    for (let line of expectedLines) {
+        counts.set(line, (counts.get(line) || 0) - 1);
+    }
+    let removed = 0;
+    let added = 0;
+    for (let count of counts.values()) {
+        if (count > 0) {
+            removed += count;
+        } else {
+            added -= count;
+        }
+    }
+    let i = 0;
+    while (i < actualLines.length && i < expectedLines.length && actualLines[i] === expectedLines[i]) {
+        i++;
+    }
+    res.push(`  ${removed} line(s) removed, ${added} line(s) added, first difference at line ${i + 1}:`);
+    if (i < actualLines.length) {
+        res.push('  - ' + actualLines[i]);
+    }
+    if (i < expectedLines.length) {
+        res.push('  + ' + expectedLines[i]);
+    }
+    return res.join('\n');
+}
+
+// Compares the files that would be written with the existing ones without writing anything.
+// Returns the number of files that are out of date.
+function checkFiles(files/*: {[path: string]: string}*/)/*: number*/ {
+    let staleCount = 0;
+    for (let path of Object.keys(files)) {
+        const summary = diffSummary(path, files[path]);
+        if (summary != null) {
+            console.log(summary);
+            staleCount++;
+        }
+    }
+    return staleCount;
+}
+
+// TypeScript looks up the declarations of `x.js` in `x.d.ts`.
+function declarationPath(dstPath/*: string*/)/*: string*/ {
+    return dstPath.replace(/\.js$/, '') + '.d.ts';
+}
+
+// Returns the number of files that are out of date in check mode.
+async function writeValidatorSrc(srcPath/*: string*/, dstPath/*: ?string*/=null, opts/*: Object*/={}, check/*: boolean*/=false)/*: Promise<number>*/ {
     if (dstPath == null) {
-        assert(/\.js$/.test(srcPath));
-        dstPath = srcPath.replace(/\.js$/, '.validator.js');
+        dstPath = defaultOutputPath(srcPath, 'validator');
+    }
+    if (check) {
+        // The flow mark is not removed either, since nothing may be written.
+        const {src, dts} = await gen.makeValidatorModule(srcPath, opts);
+        return checkFiles(dts != null ? {[dstPath]: src, [declarationPath(dstPath)]: dts} : {[dstPath]: src});
     }
 
     let origSrc/*: ?string*/;
-    if (!(await gen.flowVersionGte89()) && fs.existsSync(dstPath)) {
+    if (opts.resolver !== 'ast' && !(await gen.flowVersionGte89(opts)) && fs.existsSync(dstPath)) {
         // Temporarily remove the flow mark so that the gen-flow-files command does not complain
         // about temporary type errors, since they will go away once flow-jsonschema regenerates the file.
         origSrc = fs.readFileSync(dstPath, 'utf-8');
@@ -26,14 +114,20 @@ async function writeValidatorSrc(srcPath/*: string*/, dstPath/*: ?string*/=null)
     }
 
     let err/*: ?Error*/;
-    let newSrc/*: ?string*/;
+    let newModule/*: ?{|src: string, dts: ?string|}*/;
     try {
-        newSrc = await gen.makeValidatorSrc(srcPath);
+        newModule = await gen.makeValidatorModule(srcPath, opts);
     } catch (err_) {
         err = err_;
     }
-    if (err == null && newSrc != null) {
-        fs.writeFileSync(dstPath, newSrc);
+    if (err == null && newModule != null) {
+        fs.mkdirSync(pathlib.dirname(dstPath), {recursive: true});
+        const {src, dts} = newModule;
+        fs.writeFileSync(dstPath, src);
+        if (dts != null) {
+            fs.writeFileSync(declarationPath(dstPath), dts);
+        }
+        return 0;
     } else if (err != null) {
         if (origSrc != null) {
             // Restore the original source if there was an error and flow mark was stripped earlier.
@@ -45,23 +139,337 @@ async function writeValidatorSrc(srcPath/*: string*/, dstPath/*: ?string*/=null)
     }
 }
 
-async function main() {
-    switch (process.argv.length) {
-    case 3: {
-        let srcPath = process.argv[2];
-        return writeValidatorSrc(srcPath);
+// Returns the number of files that are out of date in check mode.
+async function writeSchemaBundle(srcPath/*: string*/, dstPath/*: ?string*/=null, opts/*: Object*/={}, check/*: boolean*/=false)/*: Promise<number>*/ {
+    if (dstPath == null) {
+        dstPath = defaultOutputPath(srcPath, 'schema');
+    }
+    const bundle = await gen.makeSchemaBundle(srcPath, opts);
+    const src = JSON.stringify(bundle, null, 4) + '\n';
+    if (check) {
+        return checkFiles({[dstPath]: src});
+    }
+    fs.mkdirSync(pathlib.dirname(dstPath), {recursive: true});
+    fs.writeFileSync(dstPath, src);
+    return 0;
+}
+
+async function writeSchemaFiles(srcPath/*: string*/, dstDir/*: ?string*/=null, opts/*: Object*/={}, check/*: boolean*/=false)/*: Promise<number>*/ {
+    if (dstDir == null) {
+        dstDir = defaultOutputPath(srcPath, 'schema-files');
+    }
+    const docs = await gen.makeSchemaFiles(srcPath, opts);
+    let files = {};
+    for (let fileName of Object.keys(docs)) {
+        files[pathlib.join(dstDir, fileName)] = JSON.stringify(docs[fileName], null, 4) + '\n';
     }
-    case 4: {
-        let srcPath = process.argv[2];
-        let dstPath = process.argv[3];
-        return writeValidatorSrc(srcPath, dstPath);
+    if (check) {
+        return checkFiles(files);
     }
-    default: {
-        console.log(`Usage: ${process.argv.slice(0, 2).join(' ')} <input path>`);
-        console.log(`Usage: ${process.argv.slice(0, 2).join(' ')} <input path> <output path>`);
-        return process.exit(1);
+    fs.mkdirSync(dstDir, {recursive: true});
+    for (let path of Object.keys(files)) {
+        fs.writeFileSync(path, files[path]);
+    }
+    return 0;
+}
+
+/*::
+type WriteFunc = (srcPath: string, dstPath: ?string, opts: Object, check: boolean) => Promise<number>;
+*/
+
+const WRITERS/*: {[format: OutputFormat]: WriteFunc}*/ = {
+    'validator': writeValidatorSrc,
+    'schema': writeSchemaBundle,
+    'schema-files': writeSchemaFiles,
+};
+
+// Connects to the flow server of each flow root once for the jobs that use `flow lsp`,
+// and sets the connections as the `lspClient` option of the jobs.
+async function connectLspClients(jobs/*: Job[]*/)/*: Promise<FlowLspClient[]>*/ {
+    let clients/*: Map<string, FlowLspClient>*/ = new Map();
+    try {
+        for (let job of jobs) {
+            if (job.opts.transport !== 'lsp' || job.opts.resolver === 'ast' || job.opts.refs === true || job.opts.lspClient != null) {
+                continue;
+            }
+            const root = findFlowRoot(pathlib.dirname(job.srcPath)) || '';
+            let client = clients.get(root);
+            if (client == null) {
+                client = await gen.connectFlowLsp(job.srcPath, job.opts);
+                clients.set(root, client);
+            }
+            job.opts = Object.assign({}, job.opts, {lspClient: client});
+        }
+    } catch (err) {
+        await closeLspClients(Array.from(clients.values()));
+        throw err;
+    }
+    return Array.from(clients.values());
+}
+
+async function closeLspClients(clients/*: FlowLspClient[]*/) {
+    await Promise.all(clients.map(client => client.close()));
+}
+
+// Generates the outputs of all jobs, sharing flow connections and parsed source files between them.
+// Errors are reported after the other jobs are done.
+async function runJobs(jobs/*: Job[]*/, check/*: boolean*/) {
+    const clients = await connectLspClients(jobs);
+    const cache = new Map();
+    let staleCount = 0;
+    let failedCount = 0;
+    try {
+        for (let job of jobs) {
+            const opts = Object.assign({}, job.opts, {cache});
+            try {
+                staleCount += await WRITERS[job.format](job.srcPath, job.dstPath, opts, check);
+            } catch (err) {
+                // The report of skipped types is more readable without the stack.
+                console.error(err instanceof gen.SkippedTypesError ? err.message : err);
+                failedCount++;
+            }
+        }
+    } finally {
+        await closeLspClients(clients);
+    }
+    if (staleCount !== 0) {
+        console.log(`${staleCount} file(s) out of date. Run flow-jsonschema without --check to update them.`);
+        process.exitCode = 1;
+    }
+    if (failedCount !== 0) {
+        if (jobs.length > 1) {
+            console.error(`${failedCount} of ${jobs.length} input file(s) failed.`);
+        }
+        process.exitCode = 1;
+    }
+}
+
+const WATCH_INTERVAL = 300;
+
+// Regenerates the outputs whose source files changed, until the process is interrupted.
+async function watch(jobs/*: Job[]*/) {
+    // The `flow lsp` connections are reused between runs. Without `--lsp`, each run launches its own flow commands.
+    const clients = await connectLspClients(jobs);
+    if (clients.length !== 0) {
+        process.on('SIGINT', () => {
+            closeLspClients(clients).then(() => process.exit(130), () => process.exit(130));
+        });
+    }
+
+    // Job => the files that its output is generated from
+    let sourcePaths/*: Map<Job, Set<string>>*/ = new Map(jobs.map(job => [job, new Set([pathlib.resolve(job.srcPath)])]));
+    let watchedPaths/*: Set<string>*/ = new Set();
+    let pending/*: Set<Job>*/ = new Set(jobs);
+    let running = false;
+
+    const onChange = (path/*: string*/, curr/*: fs.Stats*/, prev/*: fs.Stats*/)/*: void*/ => {
+        if (curr.mtimeMs === prev.mtimeMs) {
+            return;
+        }
+        console.warn(`${path} changed`);
+        for (let job of jobs) {
+            const paths = sourcePaths.get(job);
+            if (paths != null && paths.has(path)) {
+                pending.add(job);
+            }
+        }
+        run();
+    };
+
+    const updateWatchers = ()/*: void*/ => {
+        let paths = new Set();
+        for (let jobPaths of sourcePaths.values()) {
+            jobPaths.forEach(path => paths.add(path));
+        }
+        for (let path of watchedPaths) {
+            if (!paths.has(path)) {
+                fs.unwatchFile(path);
+            }
+        }
+        for (let path of paths) {
+            if (!watchedPaths.has(path)) {
+                fs.watchFile(path, {interval: WATCH_INTERVAL}, (curr, prev) => onChange(path, curr, prev));
+            }
+        }
+        watchedPaths = paths;
+    };
+
+    const run = async ()/*: Promise<void>*/ => {
+        if (running) {
+            // The running loop picks up the pending jobs.
+            return;
+        }
+        running = true;
+        while (pending.size !== 0) {
+            const job = Array.from(pending)[0];
+            pending.delete(job);
+            // Parsed source files are not shared since they change between runs.
+            const opts = Object.assign({}, job.opts, {
+                onSourceFiles: (paths/*: string[]*/) => {
+                    sourcePaths.set(job, new Set([pathlib.resolve(job.srcPath), ...paths]));
+                },
+            });
+            try {
+                await WRITERS[job.format](job.srcPath, job.dstPath, opts, false);
+            } catch (err) {
+                // Keep watching the previous source files so that the error can be fixed.
+                console.error(err instanceof gen.SkippedTypesError ? err.message : err);
+            }
+            updateWatchers();
+        }
+        running = false;
+        console.warn('Watching for changes...');
+    };
+
+    await run();
+}
+
+function usage() {
+    console.log(`Usage: ${process.argv.slice(0, 2).join(' ')} [options] <input path>`);
+    console.log(`Usage: ${process.argv.slice(0, 2).join(' ')} [options] <input path> <output path>`);
+    console.log(`Usage: ${process.argv.slice(0, 2).join(' ')} [options] [--config=<config path>]`);
+    console.log('');
+    console.log('Without an input path, the inputs are read from the config file, which defaults to');
+    console.log('flow-jsonschema.config.js or the "flow-jsonschema" key of package.json in the current directory.');
+    console.log('');
+    console.log('Options:');
+    console.log('  --config=<config path>');
+    console.log('            Generate the outputs of all entries in the config file.');
+    console.log('  --schema  Write the JSON schemas of all types to a single file instead of a validator module.');
+    console.log('            The output path defaults to <input path> with .schema.json instead of .js.');
+    console.log('  --schema-files');
+    console.log('            Write the JSON schema of each type to <type name>.schema.json in the output directory.');
+    console.log('            The output directory defaults to <input path> with .schemas instead of .js.');
+    console.log('  --id-base=<uri>');
+    console.log('            Prefix of the $id of the JSON schema files.');
+    console.log('  --include=<patterns>');
+    console.log('            Generate validators only for the types whose names match one of the comma-separated');
+    console.log('            patterns, where * matches any characters, e.g. --include=User,Post*.');
+    console.log('  --exclude=<patterns>');
+    console.log('            Do not generate validators for the types whose names match one of the patterns.');
+    console.log('  --strict  Fail if any exported type cannot be converted, instead of skipping it with a warning.');
+    console.log('  --watch   Regenerate the output whenever the input file or a file it imports types from changes.');
+    console.log('            Only --lsp keeps its flow connection between runs; otherwise flow commands are launched');
+    console.log('            again for every run.');
+    console.log('  --check   Exit with 1 and print the differences if the output is not up to date, without writing it.');
+    console.log('  --precompile');
+    console.log('            Generate validation code for each type so that the validators need no ajv at runtime.');
+    console.log('  --sanitize');
+    console.log('            Also generate sanitizeX functions that drop the properties that the types do not declare.');
+    console.log('  --parse   Also generate parseX functions that coerce strings to the types, e.g. of query parameters.');
+    console.log('  --reports Describe invalid values in terms of their flow types in ValidationErrors, and generate');
+    console.log('            formatValidationError, which reports every failure.');
+    console.log('  --esm     Generate an ES module with named exports instead of a CommonJS module.');
+    console.log('  --browser Do not use Node\'s built-in modules in the validators, e.g. to bundle them for browsers.');
+    console.log('  --dts     Also write a TypeScript declaration file next to the validator module.');
+    console.log('  --refs    Emit type aliases as shared definitions referenced with $ref instead of inlining them.');
+    console.log('            Required for recursive types.');
+    console.log('  --ast     Resolve types by parsing the source files instead of querying the flow server.');
+    console.log('  --lsp     Query the flow server for the types through a single `flow lsp` connection instead of');
+    console.log('            launching a flow command for each of them.');
+    console.log('  --concurrency=<n>');
+    console.log('            Max number of queries to flow that run at the same time, i.e. type and module lookups.');
+    console.log('            (default: 3)');
+    console.log('  --timeout=<msec>');
+    console.log('            Timeout of each request through the `flow lsp` connection. (default: 30000)');
+    return process.exit(1);
+}
+
+// Splits command line arguments into options and positional arguments.
+function parseArgs(argv/*: string[]*/)/*: {opts: Object, args: string[], format: ?OutputFormat, config: ?string, check: boolean, watch: boolean}*/ {
+    let opts = {};
+    let args = [];
+    let format = null;
+    let config = null;
+    let check = false;
+    let watch = false;
+    for (let arg of argv) {
+        if (arg === '--check') {
+            check = true;
+        } else if (arg === '--watch') {
+            watch = true;
+        } else if (arg === '--schema') {
+            format = 'schema';
+        } else if (arg === '--schema-files') {
+            format = 'schema-files';
+        } else if (arg.startsWith('--config=')) {
+            config = arg.slice('--config='.length);
+        } else if (/^--(include|exclude)=./.test(arg)) {
+            // --include=User,Post* or --include=User --include=Post*
+            const [name, value] = arg.slice(2).split('=');
+            opts[name] = (opts[name] || []).concat(value.split(','));
+        } else if (arg.startsWith('--id-base=')) {
+            opts.idBase = arg.slice('--id-base='.length);
+        } else if (arg === '--strict') {
+            opts.strict = true;
+        } else if (arg === '--precompile') {
+            opts.precompile = true;
+        } else if (arg === '--sanitize') {
+            opts.sanitize = true;
+        } else if (arg === '--parse') {
+            opts.parse = true;
+        } else if (arg === '--reports') {
+            opts.reports = true;
+        } else if (arg === '--esm') {
+            opts.esm = true;
+        } else if (arg === '--browser') {
+            opts.browser = true;
+        } else if (arg === '--dts') {
+            opts.dts = true;
+        } else if (arg === '--refs') {
+            opts.refs = true;
+        } else if (arg === '--ast') {
+            opts.resolver = 'ast';
+        } else if (arg === '--lsp') {
+            opts.transport = 'lsp';
+        } else if (/^--(concurrency|timeout)=[1-9][0-9]*$/.test(arg)) {
+            const [name, value] = arg.slice(2).split('=');
+            opts[name] = Number(value);
+        } else if (arg.startsWith('--')) {
+            console.log(`Unknown option: ${arg}`);
+            usage();
+        } else {
+            args.push(arg);
+        }
+    }
+    if (check && watch) {
+        console.log('--check and --watch cannot be used together');
+        usage();
+    }
+    if (config != null && args.length !== 0) {
+        console.log('Input paths cannot be given with --config');
+        usage();
+    }
+    return {opts, args, format, config, check, watch};
+}
+
+async function main() {
+    const {opts, args, format, config, check, watch: watchMode} = parseArgs(process.argv.slice(2));
+    let jobs;
+    if (args.length === 0) {
+        const configPath = config != null ? config : findConfig(process.cwd());
+        if (configPath == null) {
+            return usage();
+        }
+        if (format != null) {
+            console.log('The output format of each entry is set in the config file');
+            return usage();
+        }
+        jobs = loadConfig(configPath, opts);
+    } else if (args.length <= 2) {
+        jobs = [{
+            srcPath: args[0],
+            dstPath: args.length === 2 ? args[1] : null,
+            format: format != null ? format : 'validator',
+            opts,
+        }];
+    } else {
+        return usage();
     }
+    if (watchMode) {
+        return watch(jobs);
     }
+    return runJobs(jobs, check);
 }
 
 main().catch(err => {
@@ -0,0 +1,974 @@
+'use strict';
+
+const assert = require('assert');
+
+
+// Generates JS code that validates data against the JSON schemas generated by flow-jsonschema, without ajv.
+// The generated validators report the same errors in the same order as ajv, both with and without `allErrors`,
+// so that they can be used in place of the validators compiled by ajv.
+// Only the keywords used by flow-jsonschema are supported.
+
+/*::
+type Context = {|
+    // JS expression of the data being validated
+    data: string,
+    // JS expression of the data path of `data`
+    dataPath: string,
+    // JSON pointer of the schema being validated against
+    schemaPath: string,
+    // Whether `data` is validated inside anyOf, not or propertyNames
+    composite: boolean,
+    // Where `data` is stored, to replace it with its coerced value, or null if it is not coerced
+    parent: ?{|data: string, property: string|},
+    // Variable to set when `data` is invalid against a definition that is validated by its own function inside `then`
+    // or `else`, since ajv doesn't stop at the errors of such definitions until it has reported the error of `if`
+    refFailure: ?string,
+|};
+
+type CompileOptions = {|
+    // Mark the regular expressions as side effect free for bundlers.
+    pure?: boolean,
+    // Compile the validators (default: true)
+    validate?: boolean,
+    // Compile validators that coerce data as well.
+    coerce?: boolean,
+    // Compile functions that drop the properties that are not declared.
+    sanitize?: boolean,
+|};
+
+type ErrorDesc = {|
+    params: string,
+    message: string,
+|};
+*/
+
+const TYPE_KEYWORDS = {
+    string: ['pattern'],
+    array: ['items'],
+    object: ['required', 'propertyNames', 'properties', 'additionalProperties', 'patternProperties'],
+};
+const OTHER_KEYWORDS = ['type', 'const', 'enum', 'not', 'anyOf', 'allOf', 'if', 'then', 'else', '$ref', 'definitions'];
+const DEFINITIONS_PREFIX = '#/definitions/';
+// The types that data is coerced to, as with ajv's `coerceTypes: 'array'`
+const COERCIBLE_TYPES = ['string', 'number', 'boolean', 'null', 'array'];
+
+// Like ajv's coercion, an array with a single item is replaced with the item even if the item neither has the type nor
+// can be coerced to it, so the coerced data needs to be checked again.
+const COERCE_TYPE_SRC = `// Returns \`data\` coerced to \`type\`, or undefined if it cannot be coerced.
+function coerceType(data/*: any*/, type/*: string*/)/*: any*/ {
+    let item = undefined;
+    if (type !== 'array' && Array.isArray(data) && data.length === 1) {
+        item = data = data[0];
+    }
+    const dataType = typeof data;
+    switch (type) {
+    case 'string':
+        if (dataType === 'number' || dataType === 'boolean') {
+            return '' + data;
+        }
+        return data === null ? '' : item;
+    case 'number':
+        if (dataType === 'boolean' || data === null || (dataType === 'string' && data !== '' && data == +data)) {
+            return +data;
+        }
+        return item;
+    case 'boolean':
+        if (data === 'false' || data === 0 || data === null) {
+            return false;
+        }
+        return data === 'true' || data === 1 ? true : item;
+    case 'null':
+        return data === '' || data === 0 || data === false ? null : item;
+    case 'array':
+        if (dataType === 'string' || dataType === 'number' || dataType === 'boolean' || data === null) {
+            return [data];
+        }
+        return undefined;
+    default:
+        return undefined;
+    }
+}
+`;
+
+// Whether `schema` has a keyword to validate.
+function nonEmptySchema(schema/*: Object*/)/*: boolean*/ {
+    return Object.keys(schema).some(key => key !== 'definitions');
+}
+
+// The types that `schema` has keywords for, e.g. `object` for `properties`.
+function keywordTypes(schema/*: Object*/)/*: string[]*/ {
+    return Object.keys(TYPE_KEYWORDS).filter(type => TYPE_KEYWORDS[type].some(key => schema[key] !== undefined));
+}
+
+// Whether `schema` has no `$ref`, in which case ajv inlines it where it is referenced.
+function hasNoRef(schema/*: mixed*/)/*: boolean*/ {
+    if (Array.isArray(schema)) {
+        return schema.every(hasNoRef);
+    } else if (schema != null && typeof schema === 'object') {
+        return Object.keys(schema).every(key => key !== '$ref' && hasNoRef(schema[key]));
+    }
+    return true;
+}
+
+function escapeFragment(str/*: string*/)/*: string*/ {
+    return encodeURIComponent(str.replace(/~/g, '~0').replace(/\//g, '~1'));
+}
+
+// The data path of property `key`, e.g. `.name` or `['content-type']`.
+function propertyPath(key/*: string*/)/*: string*/ {
+    if (/^[a-z$_][a-z$_0-9]*$/i.test(key)) {
+        return '.' + key;
+    }
+    const escaped = key.replace(/'|\\/g, '\\$&').replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\f/g, '\\f').replace(/\t/g, '\\t');
+    return `['${escaped}']`;
+}
+
+function typeCheck(type/*: string*/, data/*: string*/)/*: string*/ {
+    switch (type) {
+    case 'null':
+        return `${data} === null`;
+    case 'array':
+        return `Array.isArray(${data})`;
+    case 'object':
+        return `${data} !== null && typeof ${data} === 'object' && !Array.isArray(${data})`;
+    case 'string':
+    case 'number':
+    case 'boolean':
+        return `typeof ${data} === '${type}'`;
+    default:
+        throw new Error('unsupported type in JSON schema: ' + type);
+    }
+}
+
+class ValidatorCompiler {
+    /*::
+    definitions: {[key: string]: Object};
+    // Definitions compiled as functions, prefixed with `coerce ` for the functions that coerce data => function names
+    definitionFunctions: Map<string, string>;
+    // Regular expressions => variable names
+    patterns: Map<string, string>;
+    functions: string[];
+    // Counter for the variable names in the function being compiled
+    nextId: number;
+    // Whether to mark the regular expressions as side effect free
+    pure: boolean;
+    // Whether a function that coerces data has been compiled
+    coerces: boolean;
+    // Branches of anyOf that are validated by sanitizers => function names
+    branchFunctions: Map<string, string>;
+    */
+    constructor(definitions/*: {[key: string]: Object}*/, pure/*: boolean*/) {
+        this.definitions = definitions;
+        this.pure = pure;
+        this.coerces = false;
+        this.branchFunctions = new Map();
+        this.definitionFunctions = new Map();
+        this.patterns = new Map();
+        this.functions = [];
+        this.nextId = 0;
+    }
+
+    // Compiles a function `name(data, dataPath, errors, allErrors): boolean` that validates data against `schema`,
+    // appending the errors to `errors`.
+    // With `coerce`, the function takes `parentData` and `parentDataProperty` as well, and replaces the values in `data`
+    // and `parentData[parentDataProperty]` with their coerced values, as ajv does with `coerceTypes: 'array'`.
+    compileFunction(name/*: string*/, schema/*: Object*/, coerce/*: boolean*/=false) {
+        const savedId = this.nextId;
+        this.nextId = 0;
+        const body = this._schema(schema, {
+            data: 'data',
+            dataPath: 'dataPath',
+            schemaPath: '#',
+            composite: false,
+            parent: coerce ? {data: 'parentData', property: 'parentDataProperty'} : null,
+            refFailure: null,
+        });
+        this.nextId = savedId;
+        this.coerces = this.coerces || coerce;
+        const parentParams = coerce ? ', parentData/*: any*/, parentDataProperty/*: string | number*/' : '';
+        this.functions.push(
+            `function ${name}(data/*: any*/, dataPath/*: string*/, errors/*: ValidationErrorDesc[]*/, allErrors/*: boolean*/${parentParams})/*: boolean*/ {\n` +
+            '    const errs = errors.length;\n' +
+            indent(body, 1) + '\n' +
+            '    return errors.length === errs;\n' +
+            '}\n'
+        );
+    }
+
+    // Returns the source of the regular expressions and the compiled functions.
+    source()/*: string*/ {
+        let res = this.coerces ? [COERCE_TYPE_SRC] : [];
+        for (let [pattern, name] of this.patterns) {
+            res.push(`const ${name} = ${this.pure ? '/*#__PURE__*/ ' : ''}new RegExp(${JSON.stringify(pattern)});\n`);
+        }
+        return res.concat(this.functions).join('\n');
+    }
+
+    _id(prefix/*: string*/)/*: string*/ {
+        return prefix + String(this.nextId++);
+    }
+
+    _regExp(pattern/*: string*/)/*: string*/ {
+        let name = this.patterns.get(pattern);
+        if (name == null) {
+            name = 'pattern' + String(this.patterns.size);
+            this.patterns.set(pattern, name);
+        }
+        return name;
+    }
+
+    _error(ctx/*: Context*/, keyword/*: string*/, desc/*: ErrorDesc*/)/*: string*/ {
+        return `errors.push({keyword: '${keyword}', dataPath: ${ctx.dataPath}, ` +
+            `schemaPath: ${JSON.stringify(ctx.schemaPath + '/' + keyword)}, params: ${desc.params}, message: ${desc.message}});`;
+    }
+
+    // Returns a block that validates `ctx.data` against `schema`.
+    // Without `allErrors`, the validation stops at the first error, which is done by breaking out of the block.
+    _schema(schema/*: Object*/, ctx/*: Context*/)/*: string*/ {
+        if (typeof schema.$ref === 'string') {
+            // Other keywords are ignored next to $ref.
+            return this._ref(schema.$ref, ctx);
+        }
+        for (let key of Object.keys(schema)) {
+            if (!OTHER_KEYWORDS.includes(key) && !Object.keys(TYPE_KEYWORDS).some(type => TYPE_KEYWORDS[type].includes(key))) {
+                throw new Error('unsupported keyword in JSON schema: ' + key);
+            }
+        }
+
+        const label = this._id('block');
+        const errs = this._id('errs');
+        let lines = [`const ${errs} = errors.length;`];
+        // Checked after each group of keywords
+        const stopGroup = `if (!allErrors && errors.length !== ${errs}) break ${label};`;
+        // Checked after each keyword in a group
+        let stop = stopGroup;
+        const typeError = {
+            params: `{type: '${schema.type}'}`,
+            message: `'should be ${schema.type}'`,
+        };
+
+        // Like ajv, the type is checked with the keywords that apply to the type if there are any, unless data is coerced
+        // to the type.
+        const usedTypes = keywordTypes(schema);
+        const parent = ctx.parent;
+        const coerce = parent != null && COERCIBLE_TYPES.includes(schema.type);
+        if (schema.type != null && (coerce || !usedTypes.includes(schema.type))) {
+            let onError = [this._error(ctx, 'type', typeError)];
+            if (!ctx.composite) {
+                onError.push(`if (!allErrors) break ${label};`);
+            }
+            lines.push(`if (!(${typeCheck(schema.type, ctx.data)})) {`);
+            if (coerce && parent != null) {
+                const coerced = this._id('coerced');
+                const store = `${parent.data}[${parent.property}]`;
+                lines.push(
+                    `    const ${coerced} = coerceType(${ctx.data}, '${schema.type}');`,
+                    `    if (${coerced} === undefined) {`,
+                    indent(onError.join('\n'), 2),
+                    '    } else {',
+                    // At the root of a function, `data` is a parameter that is stored in `parentData` as well.
+                    ...(ctx.data !== store ? [`        ${ctx.data} = ${coerced};`] : []),
+                    `        ${store} = ${coerced};`,
+                    '    }',
+                );
+            } else {
+                lines.push(indent(onError.join('\n'), 1));
+            }
+            lines.push('}');
+            if (ctx.composite) {
+                // ajv doesn't stop here inside anyOf, not and propertyNames, but after the next group of keywords.
+                const ruleErrs = this._id('errs');
+                lines.push(`const ${ruleErrs} = errors.length;`);
+                stop = `if (!allErrors && errors.length !== ${ruleErrs}) break ${label};`;
+            }
+        }
+        for (let type of usedTypes) {
+            let rules = [];
+            if (type === 'string') {
+                rules.push(this._patternRule(schema.pattern, ctx));
+            } else if (type === 'array') {
+                rules.push(this._items(schema.items, ctx, stop));
+            } else if (type === 'object') {
+                if (schema.required !== undefined) {
+                    rules.push(this._required(schema, ctx));
+                }
+                if (schema.propertyNames !== undefined) {
+                    rules.push(this._propertyNames(schema.propertyNames, ctx, stop));
+                }
+                rules.push(this._properties(schema, ctx, stop));
+            }
+            rules = rules.filter(rule => rule !== '');
+            if (rules.length !== 0) {
+                lines.push(`if (${typeCheck(type, ctx.data)}) {`, indent(rules.join(`\n${stop}\n`), 1));
+                if (schema.type === type && !coerce) {
+                    lines.push('} else {', `    ${this._error(ctx, 'type', typeError)}`);
+                }
+                lines.push('}', stopGroup);
+            } else if (schema.type === type && !coerce) {
+                lines.push(`if (!(${typeCheck(type, ctx.data)})) {`, `    ${this._error(ctx, 'type', typeError)}`, '}', stopGroup);
+            }
+        }
+
+        let rules = [];
+        if (schema.const !== undefined) {
+            assert(schema.const === null || typeof schema.const !== 'object', 'const values must be primitive');
+            rules.push([
+                `if (${ctx.data} !== ${JSON.stringify(schema.const)}) {`,
+                '    ' + this._error(ctx, 'const', {
+                    params: `{allowedValue: ${JSON.stringify(schema.const)}}`,
+                    message: '\'should be equal to constant\'',
+                }),
+                '}',
+            ].join('\n'));
+        }
+        if (schema.enum !== undefined) {
+            const cond = schema.enum.map(value => {
+                assert(value === null || typeof value !== 'object', 'enum values must be primitive');
+                return `${ctx.data} !== ${JSON.stringify(value)}`;
+            }).join(' && ');
+            rules.push([
+                `if (${cond || 'true'}) {`,
+                '    ' + this._error(ctx, 'enum', {
+                    params: `{allowedValues: ${JSON.stringify(schema.enum)}}`,
+                    message: '\'should be equal to one of the allowed values\'',
+                }),
+                '}',
+            ].join('\n'));
+        }
+        if (schema.not !== undefined) {
+            rules.push(this._not(schema.not, ctx));
+        }
+        if (schema.anyOf !== undefined) {
+            rules.push(this._anyOf(schema.anyOf, ctx));
+        }
+        if (schema.allOf !== undefined) {
+            schema.allOf.forEach((sub, i) => {
+                if (nonEmptySchema(sub)) {
+                    rules.push(this._schema(sub, Object.assign({}, ctx, {schemaPath: `${ctx.schemaPath}/allOf/${i}`})));
+                }
+            });
+        }
+        if (schema.if !== undefined) {
+            rules.push(this._if(schema, ctx));
+        }
+        rules = rules.filter(rule => rule !== '');
+        if (rules.length !== 0) {
+            lines.push(rules.join(`\n${stop}\n`));
+        } else if (lines[lines.length - 1] === stopGroup) {
+            // The last check is not needed since the block ends anyway.
+            lines.pop();
+        }
+
+        // Drops the error counts and the block that are not used.
+        let body = lines.join('\n');
+        for (let m of body.match(/^const errs\d+ = errors.length;$/gm) || []) {
+            const name = m.split(' ')[1];
+            if (body.split(new RegExp(`\\b${name}\\b`)).length === 2) {
+                body = body.replace(m + '\n', '').replace(m, '');
+            }
+        }
+        if (!body.includes(`break ${label};`)) {
+            return body;
+        }
+        return `${label}: {\n${indent(body, 1)}\n}`;
+    }
+
+    // Where the child `property` of `ctx.data` is stored, if it is coerced.
+    _parent(ctx/*: Context*/, property/*: string*/)/*: ?{|data: string, property: string|}*/ {
+        return ctx.parent != null ? {data: ctx.data, property} : null;
+    }
+
+    _definitionKey(ref/*: string*/)/*: string*/ {
+        const key = ref.slice(DEFINITIONS_PREFIX.length);
+        if (!ref.startsWith(DEFINITIONS_PREFIX) || !Object.prototype.hasOwnProperty.call(this.definitions, key)) {
+            throw new Error('unresolved $ref in JSON schema: ' + ref);
+        }
+        return key;
+    }
+
+    // Like ajv, a definition that is only a reference to another one is resolved to the latter.
+    _resolveRef(ref/*: string*/)/*: string*/ {
+        let key = this._definitionKey(ref);
+        let seen = new Set([key]);
+        while (typeof this.definitions[key].$ref === 'string') {
+            key = this._definitionKey(this.definitions[key].$ref);
+            if (seen.has(key)) {
+                throw new Error('circular $ref in JSON schema: ' + ref);
+            }
+            seen.add(key);
+        }
+        return key;
+    }
+
+    _ref(ref/*: string*/, ctx/*: Context*/)/*: string*/ {
+        const key = this._resolveRef(ref);
+        const schema = this.definitions[key];
+        if (hasNoRef(schema)) {
+            // Reported relative to the reference, as ajv does for inlined references
+            return this._schema(schema, Object.assign({}, ctx, {schemaPath: ref}));
+        }
+        const parent = ctx.parent;
+        const functionKey = (parent != null ? 'coerce ' : '') + key;
+        let name = this.definitionFunctions.get(functionKey);
+        if (name == null) {
+            name = (parent != null ? 'coerceDefinition_' : 'validateDefinition_') + key.replace(/[^\w$]/g, '_');
+            this.definitionFunctions.set(functionKey, name);
+            this.compileFunction(name, schema, parent != null);
+        }
+        const parentArgs = parent != null ? `, ${parent.data}, ${parent.property}` : '';
+        const call = `${name}(${ctx.data}, ${ctx.dataPath}, errors, allErrors${parentArgs})`;
+        if (ctx.refFailure != null && !ctx.composite) {
+            return `if (!${call}) {\n    ${ctx.refFailure} = true;\n}`;
+        }
+        return call + ';';
+    }
+
+    _patternRule(pattern/*: ?string*/, ctx/*: Context*/)/*: string*/ {
+        if (pattern == null) {
+            return '';
+        }
+        return [
+            `if (!${this._regExp(pattern)}.test(${ctx.data})) {`,
+            '    ' + this._error(ctx, 'pattern', {
+                params: `{pattern: ${JSON.stringify(pattern)}}`,
+                message: JSON.stringify(`should match pattern "${pattern}"`),
+            }),
+            '}',
+        ].join('\n');
+    }
+
+    _items(items/*: Object | Object[]*/, ctx/*: Context*/, stop/*: string*/)/*: string*/ {
+        if (Array.isArray(items)) {
+            let lines = [];
+            items.forEach((item, i) => {
+                if (nonEmptySchema(item)) {
+                    lines.push(
+                        `if (${ctx.data}.length > ${i}) {`,
+                        indent(this._schema(item, {
+                            data: `${ctx.data}[${i}]`,
+                            dataPath: `${ctx.dataPath} + '[${i}]'`,
+                            schemaPath: `${ctx.schemaPath}/items/${i}`,
+                            composite: ctx.composite,
+                            parent: this._parent(ctx, String(i)),
+                            refFailure: ctx.refFailure,
+                        }), 1),
+                        '}',
+                        stop,
+                    );
+                }
+            });
+            return lines.slice(0, -1).join('\n');
+        }
+        if (!nonEmptySchema(items)) {
+            return '';
+        }
+        const i = this._id('i');
+        return [
+            `for (let ${i} = 0; ${i} < ${ctx.data}.length; ${i}++) {`,
+            indent(this._schema(items, {
+                data: `${ctx.data}[${i}]`,
+                dataPath: `${ctx.dataPath} + '[' + ${i} + ']'`,
+                schemaPath: `${ctx.schemaPath}/items`,
+                composite: ctx.composite,
+                parent: this._parent(ctx, i),
+                refFailure: ctx.refFailure,
+            }), 1),
+            '    ' + stop,
+            '}',
+        ].join('\n');
+    }
+
+    // Checks the required properties that are not checked with `properties`.
+    _required(schema/*: Object*/, ctx/*: Context*/)/*: string*/ {
+        const properties = schema.properties || {};
+        const required = schema.required.filter(key => properties[key] == null || !nonEmptySchema(properties[key]));
+        if (required.length === 0) {
+            return '';
+        }
+        // ajv reports the data path of the first missing property, and only the name with allErrors.
+        const missing = (key, missingProperty) => [
+            `if (${ctx.data}[${JSON.stringify(key)}] === undefined) {`,
+            '    ' + this._error(ctx, 'required', {
+                params: `{missingProperty: ${JSON.stringify(missingProperty)}}`,
+                message: JSON.stringify(`should have required property '${missingProperty}'`),
+            }),
+        ];
+        let lines = ['if (allErrors) {'];
+        for (let key of required) {
+            lines.push(indent([...missing(key, key), '}'].join('\n'), 1));
+        }
+        lines.push('} else {');
+        lines.push(indent(required.map((key, i) => {
+            const check = missing(key, propertyPath(key));
+            return (i === 0 ? '' : '} else ') + check.join('\n');
+        }).join('\n') + '\n}', 1));
+        lines.push('}');
+        return lines.join('\n');
+    }
+
+    _propertyNames(schema/*: Object*/, ctx/*: Context*/, stop/*: string*/)/*: string*/ {
+        if (!nonEmptySchema(schema)) {
+            return '';
+        }
+        const key = this._id('key');
+        const keyErrs = this._id('errs');
+        const i = this._id('i');
+        return [
+            `for (const ${key} in ${ctx.data}) {`,
+            `    const ${keyErrs} = errors.length;`,
+            indent(this._schema(schema, {
+                data: key,
+                dataPath: ctx.dataPath,
+                schemaPath: `${ctx.schemaPath}/propertyNames`,
+                composite: true,
+                // Property names are not coerced.
+                parent: null,
+                refFailure: null,
+            }), 1),
+            `    if (errors.length !== ${keyErrs}) {`,
+            `        for (let ${i} = ${keyErrs}; ${i} < errors.length; ${i}++) {`,
+            `            (errors[${i}]/*: any*/).propertyName = ${key};`,
+            '        }',
+            '        ' + this._error(ctx, 'propertyNames', {
+                params: `{propertyName: ${key}}`,
+                message: `'property name \\'' + ${key} + '\\' is invalid'`,
+            }),
+            '    }',
+            '    ' + stop,
+            '}',
+        ].join('\n');
+    }
+
+    // Checks additionalProperties, properties and patternProperties in the order ajv does.
+    _properties(schema/*: Object*/, ctx/*: Context*/, stop/*: string*/)/*: string*/ {
+        const properties = schema.properties || {};
+        const patternProperties = schema.patternProperties || {};
+        const required = schema.required || [];
+        const additional = schema.additionalProperties;
+        let lines = [];
+
+        if (additional === false || (additional != null && typeof additional === 'object' && nonEmptySchema(additional))) {
+            const key = this._id('key');
+            const conds = [
+                ...Object.keys(properties).map(prop => `${key} !== ${JSON.stringify(prop)}`),
+                ...Object.keys(patternProperties).map(pattern => `!${this._regExp(pattern)}.test(${key})`),
+            ];
+            let body;
+            if (additional === false) {
+                body = [
+                    this._error(ctx, 'additionalProperties', {
+                        params: `{additionalProperty: ${key}}`,
+                        message: '\'should NOT have additional properties\'',
+                    }),
+                    stop,
+                ].join('\n');
+            } else {
+                body = [
+                    this._schema(additional, {
+                        data: `${ctx.data}[${key}]`,
+                        dataPath: `${ctx.dataPath} + '[\\'' + ${key} + '\\']'`,
+                        schemaPath: `${ctx.schemaPath}/additionalProperties`,
+                        composite: ctx.composite,
+                        parent: this._parent(ctx, key),
+                        refFailure: ctx.refFailure,
+                    }),
+                    stop,
+                ].join('\n');
+            }
+            lines.push(
+                `for (const ${key} in ${ctx.data}) {`,
+                conds.length !== 0 ? `    if (${conds.join(' && ')}) {\n${indent(body, 2)}\n    }` : indent(body, 1),
+                '}',
+            );
+        }
+
+        for (let prop of Object.keys(properties)) {
+            const propSchema = properties[prop];
+            if (!nonEmptySchema(propSchema)) {
+                continue;
+            }
+            const data = `${ctx.data}[${JSON.stringify(prop)}]`;
+            const validate = this._schema(propSchema, {
+                data,
+                dataPath: `${ctx.dataPath} + ${JSON.stringify(propertyPath(prop))}`,
+                schemaPath: `${ctx.schemaPath}/properties/${escapeFragment(prop)}`,
+                composite: ctx.composite,
+                parent: this._parent(ctx, JSON.stringify(prop)),
+                refFailure: ctx.refFailure,
+            });
+            if (required.includes(prop)) {
+                lines.push(
+                    `if (${data} === undefined) {`,
+                    '    ' + this._error(ctx, 'required', {
+                        params: `{missingProperty: ${JSON.stringify(prop)}}`,
+                        message: JSON.stringify(`should have required property '${prop}'`),
+                    }),
+                    '} else {',
+                    indent(validate, 1),
+                    '}',
+                );
+            } else {
+                lines.push(`if (${data} !== undefined) {`, indent(validate, 1), '}');
+            }
+            lines.push(stop);
+        }
+
+        for (let pattern of Object.keys(patternProperties)) {
+            const patternSchema = patternProperties[pattern];
+            if (!nonEmptySchema(patternSchema)) {
+                continue;
+            }
+            const key = this._id('key');
+            lines.push(
+                `for (const ${key} in ${ctx.data}) {`,
+                `    if (${this._regExp(pattern)}.test(${key})) {`,
+                indent(this._schema(patternSchema, {
+                    data: `${ctx.data}[${key}]`,
+                    dataPath: `${ctx.dataPath} + '[\\'' + ${key} + '\\']'`,
+                    schemaPath: `${ctx.schemaPath}/patternProperties/${escapeFragment(pattern)}`,
+                    composite: ctx.composite,
+                    parent: this._parent(ctx, key),
+                    refFailure: ctx.refFailure,
+                }), 2),
+                '        ' + stop,
+                '    }',
+                '}',
+            );
+        }
+
+        if (lines[lines.length - 1] === stop) {
+            lines.pop();
+        }
+        return lines.join('\n');
+    }
+
+    // The subschema is validated without allErrors, and its errors are discarded.
+    _not(schema/*: Object*/, ctx/*: Context*/)/*: string*/ {
+        const notError = this._error(ctx, 'not', {
+            params: '{}',
+            message: '\'should NOT be valid\'',
+        });
+        if (!nonEmptySchema(schema)) {
+            return notError;
+        }
+        const valid = this._id('valid');
+        return [
+            `let ${valid};`,
+            '{',
+            '    const errors = [];',
+            '    const allErrors = false;',
+            indent(this._schema(schema, Object.assign({}, ctx, {schemaPath: `${ctx.schemaPath}/not`, composite: true})), 1),
+            `    ${valid} = errors.length === 0;`,
+            '}',
+            `if (${valid}) {`,
+            '    ' + notError,
+            '}',
+        ].join('\n');
+    }
+
+    // The errors of the branches are kept only if none of them matches.
+    _anyOf(schemas/*: Object[]*/, ctx/*: Context*/)/*: string*/ {
+        if (!schemas.every(nonEmptySchema)) {
+            return '';
+        }
+        const errs = this._id('errs');
+        const valid = this._id('valid');
+        let lines = [`const ${errs} = errors.length;`, `let ${valid} = false;`];
+        schemas.forEach((schema, i) => {
+            const branchErrs = this._id('errs');
+            lines.push(
+                `if (!${valid}) {`,
+                `    const ${branchErrs} = errors.length;`,
+                indent(this._schema(schema, Object.assign({}, ctx, {schemaPath: `${ctx.schemaPath}/anyOf/${i}`, composite: true})), 1),
+                `    ${valid} = errors.length === ${branchErrs};`,
+                '}',
+            );
+        });
+        lines.push(
+            `if (${valid}) {`,
+            `    errors.length = ${errs};`,
+            '} else {',
+            '    ' + this._error(ctx, 'anyOf', {
+                params: '{}',
+                message: '\'should match some schema in anyOf\'',
+            }),
+            '}',
+        );
+        return lines.join('\n');
+    }
+
+    // The `if` schema is validated like `not`, and the errors of `then` or `else` are followed by an error of `if`
+    // unless the validation stops at the first error, which ajv does only if the error is not reported by the function
+    // of a definition.
+    _if(schema/*: Object*/, ctx/*: Context*/)/*: string*/ {
+        const keywords = ['then', 'else'].filter(keyword => schema[keyword] !== undefined && nonEmptySchema(schema[keyword]));
+        if (keywords.length === 0) {
+            return '';
+        }
+        const valid = this._id('valid');
+        const errs = this._id('errs');
+        const refFailure = ctx.composite ? null : this._id('refFailure');
+        let lines = [
+            `let ${valid};`,
+            '{',
+            '    const errors = [];',
+            '    const allErrors = false;',
+            indent(this._schema(schema.if, Object.assign({}, ctx, {schemaPath: `${ctx.schemaPath}/if`, composite: true})), 1),
+            `    ${valid} = errors.length === 0;`,
+            '}',
+            `const ${errs} = errors.length;`,
+            ...(refFailure != null ? [`let ${refFailure} = false;`] : []),
+        ];
+        keywords.forEach((keyword, i) => {
+            if (i === 0) {
+                lines.push(keyword === 'then' ? `if (${valid}) {` : `if (!${valid}) {`);
+            } else {
+                lines.push('} else {');
+            }
+            lines.push(
+                indent(this._schema(schema[keyword], Object.assign({}, ctx, {schemaPath: `${ctx.schemaPath}/${keyword}`, refFailure})), 1),
+                `    if (errors.length !== ${errs}${refFailure != null ? ` && (allErrors || ${refFailure})` : ''}) {`,
+                '        ' + this._error(ctx, 'if', {
+                    params: `{failingKeyword: '${keyword}'}`,
+                    message: `'should match "${keyword}" schema'`,
+                }),
+                '    }',
+            );
+        });
+        lines.push('}');
+        return lines.join('\n');
+    }
+
+    // Compiles a function `name(data): any` that returns a copy of data that is valid against `schema`, without the
+    // properties that `schema` doesn't declare.
+    compileSanitizer(name/*: string*/, schema/*: Object*/) {
+        const savedId = this.nextId;
+        this.nextId = 0;
+        const body = this._sanitize(schema, 'data', 'res');
+        this.nextId = savedId;
+        this.functions.push(
+            `function ${name}(data/*: any*/)/*: any*/ {\n` +
+            '    let res;\n' +
+            indent(body, 1) + '\n' +
+            '    return res;\n' +
+            '}\n'
+        );
+    }
+
+    // Whether the values that are valid against `schema` can contain objects or arrays, which are copied.
+    // `seen` are the definitions that are being checked.
+    _hasContainers(schema/*: Object*/, seen/*: Set<string>*/)/*: boolean*/ {
+        if (typeof schema.$ref === 'string') {
+            const key = this._resolveRef(schema.$ref);
+            // A recursive type has objects or arrays.
+            return seen.has(key) || this._hasContainers(this.definitions[key], new Set([...seen, key]));
+        }
+        if (!['type', 'const', 'enum', 'anyOf', 'allOf'].some(key => schema[key] !== undefined) && keywordTypes(schema).length === 0) {
+            // Any value
+            return true;
+        }
+        return schema.type === 'object' || schema.type === 'array' || keywordTypes(schema).some(type => type !== 'string') ||
+            (schema.anyOf || []).some(sub => this._hasContainers(sub, seen)) ||
+            (schema.allOf || []).some(sub => this._hasContainers(sub, seen));
+    }
+
+    // Returns the statements that assign the sanitized copy of `data` to `target`.
+    _sanitize(schema/*: Object*/, data/*: string*/, target/*: string*/)/*: string*/ {
+        if (!this._hasContainers(schema, new Set())) {
+            return `${target} = ${data};`;
+        }
+        if (typeof schema.$ref === 'string') {
+            const key = this._resolveRef(schema.$ref);
+            let name = this.definitionFunctions.get('sanitize ' + key);
+            if (name == null) {
+                name = 'sanitizeDefinition_' + key.replace(/[^\w$]/g, '_');
+                this.definitionFunctions.set('sanitize ' + key, name);
+                this.compileSanitizer(name, this.definitions[key]);
+            }
+            return `${target} = ${name}(${data});`;
+        }
+        if (schema.anyOf !== undefined) {
+            return this._sanitizeAnyOf(schema.anyOf, data, target);
+        }
+        if (schema.if !== undefined) {
+            // The other keywords next to `if` only check the tag of a discriminated union, which the members declare as
+            // well.
+            return [
+                `if (${this._branchCheck(schema.if, data)}) {`,
+                indent(this._sanitize(schema.then || {}, data, target), 1),
+                '} else {',
+                indent(this._sanitize(schema.else || {}, data, target), 1),
+                '}',
+            ].join('\n');
+        }
+        if (schema.allOf !== undefined) {
+            // The properties declared by any of the schemas are kept.
+            let members = schema.allOf;
+            if (schema.type === 'object' || keywordTypes(schema).includes('object')) {
+                members = [...members, Object.assign({}, schema, {allOf: undefined})];
+            }
+            let lines = [];
+            let parts = [];
+            for (let member of members) {
+                const part = this._id('part');
+                lines.push(`let ${part};`, this._sanitize(member, data, part));
+                parts.push(part);
+            }
+            lines.push(`${target} = ${typeCheck('object', data)} ? Object.assign({}, ${parts.join(', ')}) : ${data};`);
+            return lines.join('\n');
+        }
+        if (schema.type === 'object' || keywordTypes(schema).includes('object')) {
+            return this._sanitizeObject(schema, data, target);
+        }
+        if (schema.type === 'array' || keywordTypes(schema).includes('array')) {
+            return this._sanitizeArray(schema.items || {}, data, target);
+        }
+        if (schema.type == null && schema.const === undefined && schema.enum === undefined) {
+            return `${target} = cloneData(${data});`;
+        }
+        return `${target} = ${data};`;
+    }
+
+    // The first branch that data is valid against tells which properties are declared.
+    _sanitizeAnyOf(schemas/*: Object[]*/, data/*: string*/, target/*: string*/)/*: string*/ {
+        let lines = [];
+        schemas.forEach((schema, i) => {
+            const body = indent(this._sanitize(schema, data, target), 1);
+            if (i === schemas.length - 1) {
+                lines.push(i === 0 ? '{' : '} else {', body, '}');
+                return;
+            }
+            lines.push(`${i === 0 ? '' : '} else '}if (${this._branchCheck(schema, data)}) {`, body);
+        });
+        return lines.join('\n');
+    }
+
+    // Returns an expression that tells whether `data` is valid against `schema`.
+    _branchCheck(schema/*: Object*/, data/*: string*/)/*: string*/ {
+        if (Object.keys(schema).length === 1 && typeof schema.type === 'string') {
+            return typeCheck(schema.type, data);
+        }
+        const key = JSON.stringify(schema);
+        let name = this.branchFunctions.get(key);
+        if (name == null) {
+            name = 'validateBranch' + String(this.branchFunctions.size);
+            this.branchFunctions.set(key, name);
+            this.compileFunction(name, schema);
+        }
+        return `${name}(${data}, '', [], false)`;
+    }
+
+    _sanitizeObject(schema/*: Object*/, data/*: string*/, target/*: string*/)/*: string*/ {
+        const properties = schema.properties || {};
+        const patternProperties = schema.patternProperties || {};
+        const additional = schema.additionalProperties;
+        const obj = this._id('obj');
+        const key = this._id('key');
+        const value = `${data}[${key}]`;
+        const sanitizeValue = (valueSchema) => this._sanitize(valueSchema, value, `${obj}[${key}]`);
+
+        let branches = [];
+        const plainProperties = Object.keys(properties).filter(prop => !this._hasContainers(properties[prop], new Set()));
+        if (plainProperties.length !== 0) {
+            branches.push([plainProperties.map(prop => `${key} === ${JSON.stringify(prop)}`).join(' || '), `${obj}[${key}] = ${value};`]);
+        }
+        for (let prop of Object.keys(properties)) {
+            if (!plainProperties.includes(prop)) {
+                branches.push([`${key} === ${JSON.stringify(prop)}`, sanitizeValue(properties[prop])]);
+            }
+        }
+        // Assigning __proto__ would replace the prototype of the copy.
+        for (let pattern of Object.keys(patternProperties)) {
+            branches.push([`${key} !== '__proto__' && ${this._regExp(pattern)}.test(${key})`, sanitizeValue(patternProperties[pattern])]);
+        }
+        if (additional != null && typeof additional === 'object') {
+            branches.push([`${key} !== '__proto__'`, sanitizeValue(additional)]);
+        }
+
+        let lines = [`if (${typeCheck('object', data)}) {`, `    const ${obj} = {};`];
+        if (branches.length !== 0) {
+            lines.push(`    for (const ${key} of Object.keys(${data})) {`);
+            branches.forEach(([cond, body], i) => {
+                lines.push(`        ${i === 0 ? '' : '} else '}if (${cond}) {`, indent(body, 3));
+            });
+            lines.push('        }', '    }');
+        }
+        lines.push(`    ${target} = ${obj};`, '} else {', `    ${target} = ${data};`, '}');
+        return lines.join('\n');
+    }
+
+    _sanitizeArray(items/*: Object | Object[]*/, data/*: string*/, target/*: string*/)/*: string*/ {
+        const arr = this._id('arr');
+        let lines = [`if (Array.isArray(${data})) {`, `    const ${arr} = [];`];
+        if (Array.isArray(items)) {
+            // The items after the ones that are declared are dropped.
+            items.forEach((item, i) => {
+                lines.push(
+                    `    if (${data}.length > ${i}) {`,
+                    indent(this._sanitize(item, `${data}[${i}]`, `${arr}[${i}]`), 2),
+                    '    }',
+                );
+            });
+        } else {
+            const i = this._id('i');
+            lines.push(
+                `    for (let ${i} = 0; ${i} < ${data}.length; ${i}++) {`,
+                indent(this._sanitize(items, `${data}[${i}]`, `${arr}[${i}]`), 2),
+                '    }',
+            );
+        }
+        lines.push(`    ${target} = ${arr};`, '} else {', `    ${target} = ${data};`, '}');
+        return lines.join('\n');
+    }
+}
+
+function indent(src/*: string*/, level/*: number*/)/*: string*/ {
+    const prefix = '    '.repeat(level);
+    return src.split('\n').map(line => line === '' ? line : prefix + line).join('\n');
+}
+
+// Returns the source of the functions `functionNames[name](data, dataPath, errors, allErrors): boolean` that
+// validate data against `schemas[name]`, whose `$ref`s refer to `definitions`.
+// With `coerce`, there are also `coercingFunctionNames[name](data, dataPath, errors, allErrors, parentData,
+// parentDataProperty): boolean` that coerce data to the schema types in place, as ajv does with `coerceTypes: 'array'`.
+// With `sanitize`, there are also `sanitizingFunctionNames[name](data): any` that return a copy of valid data without
+// the properties that the schema doesn't declare, and which need `cloneData(data)` to be defined.
+function compileValidators(
+    schemas/*: {[name: string]: Object}*/,
+    definitions/*: {[key: string]: Object}*/,
+    opts/*: CompileOptions*/={},
+)/*: {|
+    src: string,
+    functionNames: {[name: string]: string},
+    coercingFunctionNames: {[name: string]: string},
+    sanitizingFunctionNames: {[name: string]: string},
+|}*/ {
+    const compiler = new ValidatorCompiler(definitions, opts.pure === true);
+    let functionNames = {};
+    let coercingFunctionNames = {};
+    let sanitizingFunctionNames = {};
+    for (let name of Object.keys(schemas)) {
+        if (opts.validate !== false) {
+            functionNames[name] = 'validate_' + name;
+            compiler.compileFunction(functionNames[name], schemas[name]);
+        }
+        if (opts.coerce === true) {
+            coercingFunctionNames[name] = 'coerce_' + name;
+            compiler.compileFunction(coercingFunctionNames[name], schemas[name], true);
+        }
+        if (opts.sanitize === true) {
+            sanitizingFunctionNames[name] = 'sanitize_' + name;
+            compiler.compileSanitizer(sanitizingFunctionNames[name], schemas[name]);
+        }
+    }
+    return {
+        src: compiler.source(),
+        functionNames,
+        coercingFunctionNames,
+        sanitizingFunctionNames,
+    };
+}
+
+module.exports = {
+    compileValidators,
+};
@@ -0,0 +1,228 @@
+//@flow
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const pathlib = require('path');
+
+/*::
+export type OutputFormat = 'validator' | 'schema' | 'schema-files';
+
+// An input file and where its output is written
+export type Job = {|
+    srcPath: string,
+    // null for the default output path of the format
+    dstPath: ?string,
+    format: OutputFormat,
+    opts: Object,
+|};
+*/
+
+const CONFIG_FILE_NAME = 'flow-jsonschema.config.js';
+const PACKAGE_KEY = 'flow-jsonschema';
+const FORMATS = ['validator', 'schema', 'schema-files'];
+// The options of `makeSchema` that can be set in config files
+const CONFIG_OPTIONS = [
+    'refs', 'resolver', 'transport', 'concurrency', 'timeout', 'idBase', 'precompile', 'parse', 'sanitize', 'esm',
+    'browser', 'dts', 'reports', 'include', 'exclude', 'strict',
+];
+
+// Converts a glob pattern to a regular expression that matches the whole path.
+// `**` matches any number of directories, `*` and `?` match within a path segment.
+function globToRegExp(pattern/*: string*/)/*: RegExp*/ {
+    let res = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const c = pattern[i];
+        if (c === '*' && pattern[i + 1] === '*') {
+            if (pattern[i + 2] === '/') {
+                // `a/**/b` matches `a/b` as well.
+                res += '(?:[^/]*/)*';
+                i += 2;
+            } else {
+                res += '.*';
+                i++;
+            }
+        } else if (c === '*') {
+            res += '[^/]*';
+        } else if (c === '?') {
+            res += '[^/]';
+        } else {
+            res += c.replace(/[\\^$.|+()[\]{}]/g, '\\$&');
+        }
+    }
+    return new RegExp('^' + res + '$');
+}
+
+// Returns the files that match `pattern`, relative to `dir`, sorted by path.
+// Wildcards do not match files in dot directories and node_modules.
+function glob(pattern/*: string*/, dir/*: string*/)/*: string[]*/ {
+    pattern = pathlib.resolve(dir, pattern).split(pathlib.sep).join('/');
+    if (!/[*?]/.test(pattern)) {
+        return fs.existsSync(pattern) ? [pathlib.normalize(pattern)] : [];
+    }
+    // The directory up to the first segment with a wildcard
+    const segments = pattern.split('/');
+    const firstWildcard = segments.findIndex(segment => /[*?]/.test(segment));
+    const base = segments.slice(0, firstWildcard).join('/') || '/';
+    const re = globToRegExp(pattern);
+
+    let res = [];
+    const walk = (dir/*: string*/)/*: void*/ => {
+        let names;
+        try {
+            names = fs.readdirSync(dir).sort();
+        } catch (err) {
+            return;
+        }
+        for (let name of names) {
+            const path = dir === '/' ? '/' + name : dir + '/' + name;
+            let stat;
+            try {
+                stat = fs.statSync(path);
+            } catch (err) {
+                continue;
+            }
+            if (stat.isDirectory()) {
+                if (!(name.startsWith('.') || name === 'node_modules')) {
+                    walk(path);
+                }
+            } else if (re.test(path)) {
+                res.push(pathlib.normalize(path));
+            }
+        }
+    };
+    walk(base);
+    return res;
+}
+
+// Returns the path of the config file in `dir`, or null if there is none.
+// package.json counts if it has a "flow-jsonschema" key.
+function findConfig(dir/*: string*/)/*: ?string*/ {
+    const configPath = pathlib.resolve(dir, CONFIG_FILE_NAME);
+    if (fs.existsSync(configPath)) {
+        return configPath;
+    }
+    const pkgPath = pathlib.resolve(dir, 'package.json');
+    if (fs.existsSync(pkgPath) && JSON.parse(fs.readFileSync(pkgPath, 'utf-8'))[PACKAGE_KEY] != null) {
+        return pkgPath;
+    }
+    return null;
+}
+
+function checkOptions(configPath/*: string*/, where/*: string*/, opts/*: mixed*/)/*: Object*/ {
+    if (opts == null) {
+        return {};
+    }
+    if (typeof opts !== 'object' || Array.isArray(opts)) {
+        throw new Error(`${configPath}: ${where}options must be an object`);
+    }
+    for (let key of Object.keys(opts)) {
+        if (!CONFIG_OPTIONS.includes(key)) {
+            throw new Error(`${configPath}: unknown option ${where}options.${key}`);
+        }
+    }
+    return opts;
+}
+
+// Returns the output path of `srcPath` from an output path pattern with `[dir]` and `[name]` placeholders.
+function outputPath(pattern/*: string*/, srcPath/*: string*/, rootDir/*: string*/)/*: string*/ {
+    const dir = pathlib.relative(rootDir, pathlib.dirname(srcPath)) || '.';
+    const name = pathlib.basename(srcPath, '.js');
+    return pathlib.resolve(rootDir, pattern.replace(/\[dir\]/g, () => dir).replace(/\[name\]/g, () => name));
+}
+
+// Reads the config file at `configPath` and returns a job for every input file.
+// `cliOpts` are the options given on the command line, which override the ones in the config file.
+//
+// module.exports = {
+//     // Options for every entry
+//     options: {refs: true},
+//     entries: [
+//         // Inputs are globs relative to the config file.
+//         {input: 'src/types/*.types.js'},
+//         // Output paths can contain `[dir]` and `[name]`, the directory and the base name without `.js` of the input.
+//         {input: ['src/api.js', 'src/db.js'], output: 'schemas/[name].schema.json', format: 'schema', options: {idBase: 'https://example.com/'}},
+//     ],
+// };
+function loadConfig(configPath/*: string*/, cliOpts/*: Object*/={})/*: Job[]*/ {
+    configPath = pathlib.resolve(configPath);
+    const rootDir = pathlib.dirname(configPath);
+    let config;
+    if (pathlib.basename(configPath) === 'package.json') {
+        config = JSON.parse(fs.readFileSync(configPath, 'utf-8'))[PACKAGE_KEY];
+    } else {
+        // `require` only takes literal paths in flow.
+        config = module.require(configPath);
+    }
+    if (config == null || typeof config !== 'object' || !Array.isArray(config.entries)) {
+        throw new Error(`${configPath}: entries must be an array`);
+    }
+    const commonOpts = checkOptions(configPath, '', config.options);
+
+    let jobs = [];
+    config.entries.forEach((entry, i) => {
+        const where = `entries[${i}].`;
+        const inputs = typeof entry.input === 'string' ? [entry.input] : entry.input;
+        if (!Array.isArray(inputs) || inputs.length === 0 || inputs.some(input => typeof input !== 'string')) {
+            throw new Error(`${configPath}: ${where}input must be a path or a non-empty array of paths`);
+        }
+        const format = entry.format != null ? entry.format : 'validator';
+        if (!FORMATS.includes(format)) {
+            throw new Error(`${configPath}: ${where}format must be one of ${FORMATS.join(', ')}`);
+        }
+        if (entry.output != null && typeof entry.output !== 'string') {
+            throw new Error(`${configPath}: ${where}output must be a path`);
+        }
+        const opts = Object.assign({}, commonOpts, checkOptions(configPath, where, entry.options), cliOpts);
+
+        let srcPaths = [];
+        for (let input of inputs) {
+            const paths = glob(input, rootDir);
+            if (paths.length === 0) {
+                throw new Error(`${configPath}: ${where}input ${input} matches no files`);
+            }
+            srcPaths.push(...paths);
+        }
+        if (srcPaths.length > 1 && entry.output != null && !/\[name\]/.test(entry.output)) {
+            throw new Error(`${configPath}: ${where}output must contain [name] since there are several inputs`);
+        }
+        for (let srcPath of srcPaths) {
+            const dstPath = entry.output != null ? outputPath(entry.output, srcPath, rootDir) : null;
+            jobs.push({srcPath, dstPath, format, opts});
+        }
+    });
+
+    // Globs like `*.js` match the generated files as well.
+    const dstPaths = new Set(jobs.map(job => job.dstPath != null ? job.dstPath : defaultOutputPath(job.srcPath, job.format)));
+    jobs = jobs.filter(job => !dstPaths.has(job.srcPath));
+
+    let srcPathsByDstPath = new Map();
+    for (let job of jobs) {
+        const dstPath = job.dstPath != null ? job.dstPath : defaultOutputPath(job.srcPath, job.format);
+        const other = srcPathsByDstPath.get(dstPath);
+        if (other != null) {
+            throw new Error(`${configPath}: both ${other} and ${job.srcPath} are written to ${dstPath}`);
+        }
+        srcPathsByDstPath.set(dstPath, job.srcPath);
+    }
+    return jobs;
+}
+
+// Returns the output path of `srcPath` when none is given.
+function defaultOutputPath(srcPath/*: string*/, format/*: OutputFormat*/)/*: string*/ {
+    assert(/\.js$/.test(srcPath));
+    const ext = {
+        'validator': '.validator.js',
+        'schema': '.schema.json',
+        'schema-files': '.schemas',
+    }[format];
+    return srcPath.replace(/\.js$/, ext);
+}
+
+
+module.exports = {
+    defaultOutputPath,
+    findConfig,
+    glob,
+    loadConfig,
+};
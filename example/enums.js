@@ -0,0 +1,8 @@
+//@flow
+
+// Enums cannot be declared in comments, so this file is only read by flow and flow-jsonschema, not run.
+// It is untyped in .flowconfig since flow 0.113 cannot check enums yet.
+export enum Color {
+    Red,
+    Green,
+}
@@ -43,4 +43,6 @@ export type {
     IB_local as IB_exported,
 };
 
+export type {Color} from './enums';
+
 */
@@ -3,6 +3,7 @@
 /* eslint-disable */
 // Generated by flow-jsonschema from ./types.js.
 // DO NOT EDIT.
+// Flow types hash: 4def03715d0af839
 
 const assert = require('assert');
 const Ajv = require('ajv');
@@ -12,6 +13,7 @@ const ajvAllErrors = new Ajv({allErrors: true});
 /*::
 export type A = {|bool: boolean, num: number, numLit: (1 | 20), numNull: ?number, numOpt?: number, str: string, strLit: ("a" | "bc")|};
 export type B = {|arr: Array<{|bool: boolean, num: number, numLit: (1 | 20), numNull: ?number, numOpt?: number, str: string, strLit: ("a" | "bc")|}>, c: (string | number), d: (boolean | null), e: ({|a: 1, b: string|} | {|a: 2, b: number|}), f: {[zz: string]: (number | string)}, tuple: [string, number, (1 | 2)]|};
+export type Color = "Red" | "Green";
 export type DoublyIndirectType3 = "d";
 export type IA_exported = {|fdd: {[zz: string]: (number | string)}|};
 export type IB_exported = {|zf: 3|};
@@ -53,14 +55,25 @@ class ValidationError extends Error {
 let g_validators = {};
 let g_validatorsAllErrors = {};
 
+// Types referenced by the schemas with `$ref`.
+const schemaDefinitions = {
+    "Color": {
+        "type": "string",
+        "enum": [
+            "Red",
+            "Green"
+        ]
+    }
+};
+
 // Checks whether `val` is a valid A.
-function checkA(val/*: A*/, opts/*: ValidationOptions*/={})/*: boolean*/ {
+function checkA(val/*: mixed*/, opts/*: ValidationOptions*/={})/*: boolean*/ {
     const ajv = opts.allErrors !== true ? ajvDefault : ajvAllErrors;
     const validators = opts.allErrors !== true ? g_validators : g_validatorsAllErrors;
 
     let validator = validators["A"];
     if (validator == null) {
-        let schema = {
+        let schema = Object.assign({}, {
             "type": "object",
             "properties": {
                 "bool": {
@@ -127,7 +140,7 @@ function checkA(val/*: A*/, opts/*: ValidationOptions*/={})/*: boolean*/ {
                 "strLit"
             ],
             "additionalProperties": false
-        };
+        }, {definitions: schemaDefinitions});
         validator = ajv.compile(schema);
         validators["A"] = validator;
     }
@@ -139,12 +152,13 @@ function checkA(val/*: A*/, opts/*: ValidationOptions*/={})/*: boolean*/ {
 };
 
 // Checks whether `val` is a valid A.
-// @returns `val` as is if it's a valid A, throws if not.
-function assertA(val/*: A*/, opts/*: ValidationOptions*/={})/*: A*/ {
+// @returns `val` typed as A if it's a valid A, throws if not.
+function assertA(val/*: mixed*/, opts/*: ValidationOptions*/={})/*: A*/ {
     let ret = checkA(val, opts);
     assert(typeof ret === 'boolean');
     if (ret) {
-        return val;
+        // The validation proves what flow cannot.
+        return (val/*: any*/);
     } else {
         let errors/*: ?Array<ValidationErrorDesc>*/ = (checkA/*: any*/).errors;
         if (errors == null || errors.length === 0) {
@@ -155,13 +169,13 @@ function assertA(val/*: A*/, opts/*: ValidationOptions*/={})/*: A*/ {
 };
 
 // Checks whether `val` is a valid B.
-function checkB(val/*: B*/, opts/*: ValidationOptions*/={})/*: boolean*/ {
+function checkB(val/*: mixed*/, opts/*: ValidationOptions*/={})/*: boolean*/ {
     const ajv = opts.allErrors !== true ? ajvDefault : ajvAllErrors;
     const validators = opts.allErrors !== true ? g_validators : g_validatorsAllErrors;
 
     let validator = validators["B"];
     if (validator == null) {
-        let schema = {
+        let schema = Object.assign({}, {
             "type": "object",
             "properties": {
                 "arr": {
@@ -256,27 +270,60 @@ function checkB(val/*: B*/, opts/*: ValidationOptions*/={})/*: boolean*/ {
                     ]
                 },
                 "e": {
-                    "anyOf": [
-                        {
+                    "type": "object",
+                    "required": [
+                        "a"
+                    ],
+                    "properties": {
+                        "a": {
+                            "type": "number",
+                            "enum": [
+                                1,
+                                2
+                            ]
+                        }
+                    },
+                    "if": {
+                        "type": "object",
+                        "properties": {
+                            "a": {
+                                "enum": [
+                                    1
+                                ]
+                            }
+                        }
+                    },
+                    "then": {
+                        "type": "object",
+                        "properties": {
+                            "a": {
+                                "type": "number",
+                                "enum": [
+                                    1
+                                ]
+                            },
+                            "b": {
+                                "type": "string"
+                            }
+                        },
+                        "required": [
+                            "a",
+                            "b"
+                        ],
+                        "additionalProperties": false
+                    },
+                    "else": {
+                        "if": {
                             "type": "object",
                             "properties": {
                                 "a": {
-                                    "type": "number",
                                     "enum": [
-                                        1
+                                        2
                                     ]
-                                },
-                                "b": {
-                                    "type": "string"
                                 }
-                            },
-                            "required": [
-                                "a",
-                                "b"
-                            ],
-                            "additionalProperties": false
+                            }
                         },
-                        {
+                        "then": {
                             "type": "object",
                             "properties": {
                                 "a": {
@@ -295,7 +342,7 @@ function checkB(val/*: B*/, opts/*: ValidationOptions*/={})/*: boolean*/ {
                             ],
                             "additionalProperties": false
                         }
-                    ]
+                    }
                 },
                 "f": {
                     "type": "object",
@@ -350,7 +397,7 @@ function checkB(val/*: B*/, opts/*: ValidationOptions*/={})/*: boolean*/ {
                 "tuple"
             ],
             "additionalProperties": false
-        };
+        }, {definitions: schemaDefinitions});
         validator = ajv.compile(schema);
         validators["B"] = validator;
     }
@@ -362,12 +409,13 @@ function checkB(val/*: B*/, opts/*: ValidationOptions*/={})/*: boolean*/ {
 };
 
 // Checks whether `val` is a valid B.
-// @returns `val` as is if it's a valid B, throws if not.
-function assertB(val/*: B*/, opts/*: ValidationOptions*/={})/*: B*/ {
+// @returns `val` typed as B if it's a valid B, throws if not.
+function assertB(val/*: mixed*/, opts/*: ValidationOptions*/={})/*: B*/ {
     let ret = checkB(val, opts);
     assert(typeof ret === 'boolean');
     if (ret) {
-        return val;
+        // The validation proves what flow cannot.
+        return (val/*: any*/);
     } else {
         let errors/*: ?Array<ValidationErrorDesc>*/ = (checkB/*: any*/).errors;
         if (errors == null || errors.length === 0) {
@@ -377,19 +425,56 @@ function assertB(val/*: B*/, opts/*: ValidationOptions*/={})/*: B*/ {
     }
 };
 
+// Checks whether `val` is a valid Color.
+function checkColor(val/*: mixed*/, opts/*: ValidationOptions*/={})/*: boolean*/ {
+    const ajv = opts.allErrors !== true ? ajvDefault : ajvAllErrors;
+    const validators = opts.allErrors !== true ? g_validators : g_validatorsAllErrors;
+
+    let validator = validators["Color"];
+    if (validator == null) {
+        let schema = Object.assign({}, {
+            "$ref": "#/definitions/Color"
+        }, {definitions: schemaDefinitions});
+        validator = ajv.compile(schema);
+        validators["Color"] = validator;
+    }
+    let ret/*: boolean*/ = validator(val);
+    assert(typeof ret === 'boolean');
+    let errors/*: ?Array<ValidationErrorDesc>*/ = (validator/*: any*/).errors;
+    (checkColor/*: any*/).errors = errors;
+    return ret;
+};
+
+// Checks whether `val` is a valid Color.
+// @returns `val` typed as Color if it's a valid Color, throws if not.
+function assertColor(val/*: mixed*/, opts/*: ValidationOptions*/={})/*: Color*/ {
+    let ret = checkColor(val, opts);
+    assert(typeof ret === 'boolean');
+    if (ret) {
+        // The validation proves what flow cannot.
+        return (val/*: any*/);
+    } else {
+        let errors/*: ?Array<ValidationErrorDesc>*/ = (checkColor/*: any*/).errors;
+        if (errors == null || errors.length === 0) {
+            throw new Error('json validation failed');
+        }
+        throw new ValidationError("Color", errors);
+    }
+};
+
 // Checks whether `val` is a valid DoublyIndirectType3.
-function checkDoublyIndirectType3(val/*: DoublyIndirectType3*/, opts/*: ValidationOptions*/={})/*: boolean*/ {
+function checkDoublyIndirectType3(val/*: mixed*/, opts/*: ValidationOptions*/={})/*: boolean*/ {
     const ajv = opts.allErrors !== true ? ajvDefault : ajvAllErrors;
     const validators = opts.allErrors !== true ? g_validators : g_validatorsAllErrors;
 
     let validator = validators["DoublyIndirectType3"];
     if (validator == null) {
-        let schema = {
+        let schema = Object.assign({}, {
             "type": "string",
             "enum": [
                 "d"
             ]
-        };
+        }, {definitions: schemaDefinitions});
         validator = ajv.compile(schema);
         validators["DoublyIndirectType3"] = validator;
     }
@@ -401,12 +486,13 @@ function checkDoublyIndirectType3(val/*: DoublyIndirectType3*/, opts/*: Validati
 };
 
 // Checks whether `val` is a valid DoublyIndirectType3.
-// @returns `val` as is if it's a valid DoublyIndirectType3, throws if not.
-function assertDoublyIndirectType3(val/*: DoublyIndirectType3*/, opts/*: ValidationOptions*/={})/*: DoublyIndirectType3*/ {
+// @returns `val` typed as DoublyIndirectType3 if it's a valid DoublyIndirectType3, throws if not.
+function assertDoublyIndirectType3(val/*: mixed*/, opts/*: ValidationOptions*/={})/*: DoublyIndirectType3*/ {
     let ret = checkDoublyIndirectType3(val, opts);
     assert(typeof ret === 'boolean');
     if (ret) {
-        return val;
+        // The validation proves what flow cannot.
+        return (val/*: any*/);
     } else {
         let errors/*: ?Array<ValidationErrorDesc>*/ = (checkDoublyIndirectType3/*: any*/).errors;
         if (errors == null || errors.length === 0) {
@@ -417,13 +503,13 @@ function assertDoublyIndirectType3(val/*: DoublyIndirectType3*/, opts/*: Validat
 };
 
 // Checks whether `val` is a valid IA_exported.
-function checkIA_exported(val/*: IA_exported*/, opts/*: ValidationOptions*/={})/*: boolean*/ {
+function checkIA_exported(val/*: mixed*/, opts/*: ValidationOptions*/={})/*: boolean*/ {
     const ajv = opts.allErrors !== true ? ajvDefault : ajvAllErrors;
     const validators = opts.allErrors !== true ? g_validators : g_validatorsAllErrors;
 
     let validator = validators["IA_exported"];
     if (validator == null) {
-        let schema = {
+        let schema = Object.assign({}, {
             "type": "object",
             "properties": {
                 "fdd": {
@@ -447,7 +533,7 @@ function checkIA_exported(val/*: IA_exported*/, opts/*: ValidationOptions*/={})/
                 "fdd"
             ],
             "additionalProperties": false
-        };
+        }, {definitions: schemaDefinitions});
         validator = ajv.compile(schema);
         validators["IA_exported"] = validator;
     }
@@ -459,12 +545,13 @@ function checkIA_exported(val/*: IA_exported*/, opts/*: ValidationOptions*/={})/
 };
 
 // Checks whether `val` is a valid IA_exported.
-// @returns `val` as is if it's a valid IA_exported, throws if not.
-function assertIA_exported(val/*: IA_exported*/, opts/*: ValidationOptions*/={})/*: IA_exported*/ {
+// @returns `val` typed as IA_exported if it's a valid IA_exported, throws if not.
+function assertIA_exported(val/*: mixed*/, opts/*: ValidationOptions*/={})/*: IA_exported*/ {
     let ret = checkIA_exported(val, opts);
     assert(typeof ret === 'boolean');
     if (ret) {
-        return val;
+        // The validation proves what flow cannot.
+        return (val/*: any*/);
     } else {
         let errors/*: ?Array<ValidationErrorDesc>*/ = (checkIA_exported/*: any*/).errors;
         if (errors == null || errors.length === 0) {
@@ -475,13 +562,13 @@ function assertIA_exported(val/*: IA_exported*/, opts/*: ValidationOptions*/={})
 };
 
 // Checks whether `val` is a valid IB_exported.
-function checkIB_exported(val/*: IB_exported*/, opts/*: ValidationOptions*/={})/*: boolean*/ {
+function checkIB_exported(val/*: mixed*/, opts/*: ValidationOptions*/={})/*: boolean*/ {
     const ajv = opts.allErrors !== true ? ajvDefault : ajvAllErrors;
     const validators = opts.allErrors !== true ? g_validators : g_validatorsAllErrors;
 
     let validator = validators["IB_exported"];
     if (validator == null) {
-        let schema = {
+        let schema = Object.assign({}, {
             "type": "object",
             "properties": {
                 "zf": {
@@ -495,7 +582,7 @@ function checkIB_exported(val/*: IB_exported*/, opts/*: ValidationOptions*/={})/
                 "zf"
             ],
             "additionalProperties": false
-        };
+        }, {definitions: schemaDefinitions});
         validator = ajv.compile(schema);
         validators["IB_exported"] = validator;
     }
@@ -507,12 +594,13 @@ function checkIB_exported(val/*: IB_exported*/, opts/*: ValidationOptions*/={})/
 };
 
 // Checks whether `val` is a valid IB_exported.
-// @returns `val` as is if it's a valid IB_exported, throws if not.
-function assertIB_exported(val/*: IB_exported*/, opts/*: ValidationOptions*/={})/*: IB_exported*/ {
+// @returns `val` typed as IB_exported if it's a valid IB_exported, throws if not.
+function assertIB_exported(val/*: mixed*/, opts/*: ValidationOptions*/={})/*: IB_exported*/ {
     let ret = checkIB_exported(val, opts);
     assert(typeof ret === 'boolean');
     if (ret) {
-        return val;
+        // The validation proves what flow cannot.
+        return (val/*: any*/);
     } else {
         let errors/*: ?Array<ValidationErrorDesc>*/ = (checkIB_exported/*: any*/).errors;
         if (errors == null || errors.length === 0) {
@@ -528,6 +616,8 @@ module.exports = {
     assertA,
     checkB,
     assertB,
+    checkColor,
+    assertColor,
     checkDoublyIndirectType3,
     assertDoublyIndirectType3,
     checkIA_exported,
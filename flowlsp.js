@@ -0,0 +1,278 @@
+//@flow
+'use strict';
+
+const assert = require('assert');
+const pathlib = require('path');
+const url = require('url');
+const child_process = require('child_process');
+
+
+/*::
+type LspOptions = {|
+    flowPath: string,
+    // The directory that contains .flowconfig
+    root: string,
+    // Max number of requests that are sent to the server at the same time
+    concurrency: number,
+    // Timeout of each request in milliseconds
+    timeout: number,
+    // Called with each line that flow writes to stderr, instead of passing them through
+    log?: (message: string) => void,
+|};
+
+type PendingRequest = {|
+    method: string,
+    resolve: (result: any) => void,
+    reject: (err: Error) => void,
+    timer: ?TimeoutID,
+|};
+*/
+
+const HEADER_SEPARATOR = '\r\n\r\n';
+
+// A connection to a flow server through a single `flow lsp` process.
+class FlowLspClient {
+    /*::
+    options: LspOptions;
+    child: ?child_process$ChildProcess;
+    buffer: Buffer;
+    nextId: number;
+    pending: Map<number, PendingRequest>;
+    // Requests waiting for the number of running requests to go below `concurrency`
+    queue: Array<() => void>;
+    running: number;
+    exited: Promise<void>;
+    onConnected: ?() => void;
+    */
+    constructor(options/*: LspOptions*/) {
+        this.options = options;
+        this.child = null;
+        this.buffer = Buffer.alloc(0);
+        this.nextId = 1;
+        this.pending = new Map();
+        this.queue = [];
+        this.running = 0;
+        this.exited = Promise.resolve();
+        this.onConnected = null;
+    }
+
+    // Launches `flow lsp`, which starts the flow server if it is not running, and waits for it to be initialized.
+    async start() {
+        assert(this.child == null);
+        const log = this.options.log;
+        const child = child_process.spawn(this.options.flowPath, ['lsp'], {
+            cwd: this.options.root,
+            stdio: ['pipe', 'pipe', log != null ? 'pipe' : 'inherit'],
+        });
+        this.child = child;
+        if (log != null) {
+            let stderr = '';
+            child.stderr.setEncoding('utf-8');
+            child.stderr.on('data', data => {
+                const lines = (stderr + data).split('\n');
+                stderr = lines.pop();
+                lines.forEach(line => log(line));
+            });
+        }
+        this.exited = new Promise(resolve => {
+            child.on('exit', () => {
+                this.child = null;
+                this._rejectAll(new Error('flow lsp exited'));
+                resolve();
+            });
+        });
+        child.on('error', err => {
+            this._rejectAll(err);
+        });
+        child.stdout.on('data', data => this._onData(data));
+
+        // The server can take long to start, so these are not subject to the timeout.
+        const connected = new Promise(resolve => {
+            this.onConnected = resolve;
+        });
+        await this._request('initialize', {
+            processId: process.pid,
+            rootUri: url.pathToFileURL(this.options.root).href,
+            capabilities: {
+                // Requests fail until the server is ready, which is notified with `telemetry/connectionStatus`.
+                telemetry: {
+                    connectionStatus: {},
+                },
+            },
+        }, null);
+        this._send({
+            jsonrpc: '2.0',
+            method: 'initialized',
+            params: {},
+        });
+        await Promise.race([connected, this.exited.then(() => {
+            throw new Error('flow lsp exited before connecting to the flow server');
+        })]);
+    }
+
+    // Shuts down the connection. The flow server keeps running.
+    async close() {
+        const child = this.child;
+        if (child == null) {
+            return;
+        }
+        try {
+            await this._request('shutdown', null, this.options.timeout);
+            this._send({
+                jsonrpc: '2.0',
+                method: 'exit',
+            });
+        } catch (err) {
+            child.kill();
+        }
+        const timer = setTimeout(() => child.kill(), this.options.timeout);
+        await this.exited;
+        clearTimeout(timer);
+    }
+
+    _send(msg/*: Object*/) {
+        const child = this.child;
+        if (child == null) {
+            throw new Error('flow lsp is not running');
+        }
+        const body = JSON.stringify(msg);
+        child.stdin.write(`Content-Length: ${Buffer.byteLength(body)}${HEADER_SEPARATOR}${body}`);
+    }
+
+    _onData(data/*: Buffer*/) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        for (;;) {
+            const headerEnd = this.buffer.indexOf(HEADER_SEPARATOR);
+            if (headerEnd === -1) {
+                return;
+            }
+            const m = /Content-Length: *(\d+)/i.exec(this.buffer.slice(0, headerEnd).toString('ascii'));
+            if (m == null) {
+                throw new Error('invalid message header from flow lsp');
+            }
+            const start = headerEnd + HEADER_SEPARATOR.length;
+            const end = start + Number(m[1]);
+            if (this.buffer.length < end) {
+                return;
+            }
+            const msg = JSON.parse(this.buffer.slice(start, end).toString('utf-8'));
+            this.buffer = this.buffer.slice(end);
+            this._onMessage(msg);
+        }
+    }
+
+    _onMessage(msg/*: Object*/) {
+        if (msg.method === 'telemetry/connectionStatus') {
+            if (msg.params.isConnected && this.onConnected != null) {
+                this.onConnected();
+                this.onConnected = null;
+            }
+            return;
+        } else if (msg.method != null) {
+            // Other notifications and requests from the server, e.g. diagnostics and status messages, are not needed.
+            if (msg.id != null) {
+                this._send({
+                    jsonrpc: '2.0',
+                    id: msg.id,
+                    result: null,
+                });
+            }
+            return;
+        }
+        const req = this.pending.get(msg.id);
+        if (req == null) {
+            // The request has been cancelled.
+            return;
+        }
+        this.pending.delete(msg.id);
+        if (req.timer != null) {
+            clearTimeout(req.timer);
+        }
+        if (msg.error != null) {
+            req.reject(new Error(`flow lsp: ${req.method} failed: ${msg.error.message}`));
+        } else {
+            req.resolve(msg.result);
+        }
+    }
+
+    _rejectAll(err/*: Error*/) {
+        for (let req of this.pending.values()) {
+            if (req.timer != null) {
+                clearTimeout(req.timer);
+            }
+            req.reject(err);
+        }
+        this.pending.clear();
+    }
+
+    _request(method/*: string*/, params/*: mixed*/, timeout/*: ?number*/)/*: Promise<any>*/ {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            if (timeout != null) {
+                timer = setTimeout(() => {
+                    this.pending.delete(id);
+                    this._send({
+                        jsonrpc: '2.0',
+                        method: '$/cancelRequest',
+                        params: {id},
+                    });
+                    reject(new Error(`flow lsp: ${method} timed out after ${String(timeout)}ms`));
+                }, timeout);
+            }
+            this.pending.set(id, {method, resolve, reject, timer});
+            this._send({
+                jsonrpc: '2.0',
+                id,
+                method,
+                params,
+            });
+        });
+    }
+
+    // Sends a request, keeping the number of running requests under `concurrency`.
+    async request(method/*: string*/, params/*: mixed*/)/*: Promise<any>*/ {
+        if (this.running >= this.options.concurrency) {
+            // A finished request hands over its slot.
+            await new Promise(resolve => this.queue.push(resolve));
+        } else {
+            this.running++;
+        }
+        try {
+            return await this._request(method, params, this.options.timeout);
+        } finally {
+            const next = this.queue.shift();
+            if (next != null) {
+                next();
+            } else {
+                this.running--;
+            }
+        }
+    }
+
+    // Returns the type at the 1-based position in the file at `path` like `flow type-at-pos`, e.g.
+    // `type B = {|a: A|}` for the name of an alias, or null if flow shows nothing there.
+    // The type aliases in it are not expanded, unlike with `--expand-type-aliases`.
+    async typeAtPos(path/*: string*/, line/*: number*/, column/*: number*/)/*: Promise<?string>*/ {
+        const result = await this.request('textDocument/hover', {
+            textDocument: {
+                uri: url.pathToFileURL(pathlib.resolve(path)).href,
+            },
+            position: {
+                line: line - 1,
+                character: column - 1,
+            },
+        });
+        if (result == null) {
+            return null;
+        }
+        const contents = Array.isArray(result.contents) ? result.contents : [result.contents];
+        const code = contents.find(content => content != null && typeof content === 'object' && content.language === 'flow');
+        return code != null ? code.value : null;
+    }
+}
+
+
+module.exports = {
+    FlowLspClient,
+};
@@ -2,14 +2,207 @@
 
 const assert = require('assert');
 const fs = require('fs');
+const pathlib = require('path');
 const util = require('util');
 const child_process = require('child_process');
+const crypto = require('crypto');
 const async = require('async');
 const semver = require('semver');
 const flowParser = require('flow-parser');
+const {compileValidators} = require('./codegen');
+const {flowToTypeScript} = require('./typescript');
+const {reportSrc} = require('./reports');
+const {FlowLspClient} = require('./flowlsp');
+const {ModuleResolver, findFlowRoot} = require('./modules');
+const {TypeResolver} = require('./resolver');
+/*::
+import type {SourceFile, TypeBinding} from './resolver';
+
+type Options = {
+    // Emit every type alias as a definition referenced with `$ref` instead of inlining it.
+    refs?: boolean,
+    // How types are resolved.
+    // 'flow': ask the flow server (default)
+    // 'ast': parse the source files and resolve modules without flow
+    resolver?: 'flow' | 'ast',
+    // How flow is called.
+    // 'cli': launch a flow command for every query (default)
+    // 'lsp': query the flow server for the types through a single `flow lsp` connection instead of launching a flow
+    // command for each of them
+    transport?: 'cli' | 'lsp',
+    // Max number of queries to flow that run at the same time, i.e. type and module lookups (default: 3)
+    concurrency?: number,
+    // Timeout of each request through the lsp connection in milliseconds (default: 30000)
+    timeout?: number,
+    // Prefix of the `$id`s of the generated JSON schema documents, e.g. `https://example.com/schemas/`
+    idBase?: string,
+    // Generate validation code for each type instead of compiling the schemas with ajv at runtime.
+    precompile?: boolean,
+    // Also generate `parseX` functions that coerce strings and other values to the types, e.g. for query strings.
+    parse?: boolean,
+    // Also generate `sanitizeX` functions that return copies of valid values without the properties that the types don't
+    // declare.
+    sanitize?: boolean,
+    // Describe the failures of invalid values in terms of their flow types in `ValidationError`s, and generate
+    // `formatValidationError`, which reports every failure.
+    reports?: boolean,
+    // Generate an ES module with named exports instead of a CommonJS module.
+    esm?: boolean,
+    // Do not use Node's built-in modules in the generated validators, so that they can be bundled for browsers.
+    browser?: boolean,
+    // Also translate the validator module's types and functions to a TypeScript declaration file.
+    dts?: boolean,
+    // A connection made with `connectFlowLsp` to use for `transport: 'lsp'` instead of making a new one
+    lspClient?: FlowLspClient,
+    // Called with the paths of the input file and the files it imports types from, directly or indirectly
+    onSourceFiles?: (paths: string[]) => void,
+    // Parsed source files to share between calls, e.g. when generating outputs for many files at once.
+    // The same `new Map()` is passed to every call, and the source files must not change between the calls.
+    cache?: Map<string, TypeResolver>,
+    // Generate validators only for the exported types whose names match one of the patterns, e.g. `User*`.
+    include?: string[],
+    // Do not generate validators for the exported types whose names match one of the patterns.
+    exclude?: string[],
+    // Fail if any exported type is skipped, instead of warning about it.
+    strict?: boolean,
+    // The flow command (default: `flow`)
+    flowPath?: string,
+    // The directory that relative input paths are resolved in and flow commands are run in (default: the current one)
+    cwd?: string,
+    // Called with progress messages and warnings instead of writing them to stderr
+    logger?: Logger,
+};
+
+export type Logger = (level: 'info' | 'warning', message: string) => void;
+
+// How flow commands are launched
+type FlowCommand = {|
+    path: string,
+    cwd: ?string,
+|};
+
+type SourceLocation = {|
+    path: string,
+    line: number,
+    // 1-based
+    column: number,
+|};
+
+// An exported type that no validator is generated for
+export type Diagnostic = {|
+    // 'error' if the type fails the call in strict mode
+    severity: 'warning' | 'error',
+    typeName: string,
+    message: string,
+    // The path of the unsupported type in the exported type, e.g. `.items[].name`
+    propertyPath: string,
+    loc: ?SourceLocation,
+|};
+
+// State of a single `makeSchema` call
+type RunContext = {|
+    // Whether a validator is generated for the type exported as `name`
+    selected: (name: string) => boolean,
+    diagnostics: Diagnostic[],
+    // Whether skipped types fail the call, in which case they are reported by the error instead of warnings
+    strict: boolean,
+    flow: FlowCommand,
+    log: Logger,
+|};
+
+export type GenerateResult = {|
+    // Exported type name => its schema, flow declaration and where it is exported
+    // `loc` is null for the instantiations of generic types that are exported in `refs` mode.
+    types: {[name: string]: {|schema: Object, flowSource: string, loc: ?SourceLocation|}},
+    // Definitions that the schemas refer to with `$ref`
+    definitions: {[key: string]: Object},
+    // Flow declarations of the types that the exported types refer to
+    definitionSources: {[flowKey: string]: string},
+    // The input file and the files it imports types from
+    sourcePaths: string[],
+    diagnostics: Diagnostic[],
+|};
+*/
 
 
 class UnsupportedTypeError extends Error {
+    /*::
+    // The path of the unsupported type in the type that is processed, e.g. `.items[].name`
+    propertyPath: string;
+    // Where the unsupported type is declared, if it is read from a source file
+    loc: ?SourceLocation;
+    */
+    constructor(message/*: string*/, propertyPath/*: string*/='', loc/*: ?SourceLocation*/=null) {
+        super(message);
+        this.propertyPath = propertyPath;
+        this.loc = loc;
+    }
+
+    // Returns the error for the type that contains the unsupported type at `segment`, e.g. `.name` or `[]`.
+    // A new error is made since errors of definitions are rethrown wherever the definitions are used.
+    inside(segment/*: string*/)/*: UnsupportedTypeError*/ {
+        return new UnsupportedTypeError(this.message, segment + this.propertyPath, this.loc);
+    }
+}
+
+// Thrown in strict mode if any exported type is skipped.
+class SkippedTypesError extends Error {
+    /*::
+    diagnostics: Diagnostic[];
+    */
+    constructor(path/*: string*/, diagnostics/*: Diagnostic[]*/) {
+        const lines = diagnostics.map(diag => {
+            const loc = diag.loc != null ? `${diag.loc.path}:${diag.loc.line}:${diag.loc.column}: ` : '';
+            return `  ${loc}${diag.typeName}${diag.propertyPath}: ${diag.message}`;
+        });
+        super(`${path}: ${diagnostics.length} type(s) cannot be converted to JSON schema:\n${lines.join('\n')}`);
+        this.diagnostics = diagnostics;
+    }
+}
+
+// Records that no validator is generated for the exported type `name`, and warns about it unless in strict mode.
+// `loc` is where the type is declared, which is used unless the error tells where the unsupported type is.
+function skipType(run/*: RunContext*/, name/*: string*/, exc/*: UnsupportedTypeError | string*/, loc/*: ?SourceLocation*/=null) {
+    const diag = {
+        severity: run.strict ? 'error' : 'warning',
+        typeName: name,
+        message: typeof exc === 'string' ? exc : exc.message,
+        propertyPath: typeof exc === 'string' ? '' : exc.propertyPath,
+        loc: typeof exc === 'string' || exc.loc == null ? loc : exc.loc,
+    };
+    run.diagnostics.push(diag);
+    if (run.strict) {
+        return;
+    }
+    let where = [];
+    if (diag.propertyPath !== '') {
+        where.push('at ' + name + diag.propertyPath);
+    }
+    if (diag.loc != null) {
+        where.push(`in ${diag.loc.path}:${diag.loc.line}:${diag.loc.column}`);
+    }
+    run.log('warning', 'Skipping type ' + name + ': ' + diag.message + (where.length !== 0 ? ` (${where.join(' ')})` : ''));
+}
+
+// Returns the location of the AST node `node` in the file at `path`.
+function nodeLocation(path/*: string*/, node)/*: SourceLocation*/ {
+    return {
+        path,
+        line: node.loc.start.line,
+        column: node.loc.start.column + 1,
+    };
+}
+
+// Parses `desc` as the type of the value at `segment` in the value of the type that contains it.
+function parseChildDesc(segment/*: string*/, fn/*: () => Object*/) {
+    try {
+        return fn();
+    } catch (exc) {
+        if (exc instanceof UnsupportedTypeError) {
+            throw exc.inside(segment);
+        }
+        throw exc;
+    }
 }
 
 const ABANDON = Symbol();
@@ -48,7 +241,579 @@ function parseLiteral(desc) {
     }
 }
 
-function parseDesc(desc) {
+const IDENTIFIER_RE = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+// Returns a flow type that is equivalent to `schema`.
+// Used to describe schemas in messages and to replace parts of the flow source that cannot be copied as is.
+function schemaToFlowType(schema)/*: string*/ {
+    if (schema.$ref != null) {
+        return schema.$ref.slice(schema.$ref.lastIndexOf('/') + 1);
+    }
+    if (schema.anyOf != null) {
+        return schema.anyOf.map(subschema => {
+            const res = schemaToFlowType(subschema);
+            return subschema.anyOf != null ? '(' + res + ')' : res;
+        }).join(' | ');
+    }
+    if (schema.enum != null) {
+        return schema.enum.map(val => JSON.stringify(val)).join(' | ');
+    }
+    if (schema.not != null && Object.keys(schema.not).length === 0) {
+        // Only used for properties that must be absent.
+        return 'void';
+    }
+    switch (schema.type) {
+    case 'string':
+    case 'number':
+    case 'boolean':
+    case 'null':
+        return schema.type;
+    case 'array':
+        if (Array.isArray(schema.items)) {
+            return '[' + schema.items.map(schemaToFlowType).join(', ') + ']';
+        }
+        return 'Array<' + (schema.items != null ? schemaToFlowType(schema.items) : 'mixed') + '>';
+    case 'object': {
+        let members = [];
+        const required = schema.required || [];
+        for (let key of Object.keys(schema.properties || {})) {
+            const keySrc = IDENTIFIER_RE.test(key) ? key : JSON.stringify(key);
+            const optional = required.includes(key) ? '' : '?';
+            members.push(`${keySrc}${optional}: ${schemaToFlowType(schema.properties[key])}`);
+        }
+        const indexerValue = indexerValueSchema(schema);
+        if (indexerValue != null) {
+            members.push(`[key: string]: ${schemaToFlowType(indexerValue)}`);
+        }
+        if (schema.additionalProperties === false && indexerValue == null) {
+            return '{|' + members.join(', ') + '|}';
+        }
+        return '{' + members.join(', ') + '}';
+    }
+    default:
+        return Object.keys(schema).length === 0 ? 'any' : 'mixed';
+    }
+}
+
+// Matches the string representation of numbers, which is what number-keyed objects have as their keys in JSON.
+const NUMERIC_KEY_PATTERN = '^-?(0|[1-9][0-9]*)(\\.[0-9]+)?(e[+-][0-9]+)?$';
+
+// Converts the schema of an indexer key type to a schema that validates property names.
+// Returns null if any property name is allowed.
+function keySchemaFromValueSchema(schema, ctx) {
+    schema = derefSchema(schema, ctx);
+    if (schema.anyOf != null) {
+        let enumValues = [];
+        let others = [];
+        for (let subschema of schema.anyOf) {
+            const res = keySchemaFromValueSchema(subschema, ctx);
+            if (res == null) {
+                return null;
+            } else if (res.enum != null && Object.keys(res).length === 1) {
+                enumValues.push(...res.enum.filter(val => !enumValues.includes(val)));
+            } else {
+                others.push(res);
+            }
+        }
+        if (enumValues.length !== 0) {
+            others.unshift({enum: enumValues});
+        }
+        return others.length === 1 ? others[0] : {anyOf: others};
+    }
+
+    if (Object.keys(schema).length === 0) {
+        // any
+        return null;
+    }
+
+    switch (schema.type) {
+    case 'string':
+        if (schema.enum == null) {
+            return null;
+        }
+        return {enum: schema.enum};
+    case 'number':
+        if (schema.enum == null) {
+            return {pattern: NUMERIC_KEY_PATTERN};
+        }
+        return {enum: schema.enum.map(val => String(val))};
+    default:
+        throw new UnsupportedTypeError('unsupported indexer key type: ' + JSON.stringify(schema));
+    }
+}
+
+/*::
+type Rename = {|
+    range: [number, number],
+    text: string,
+    // The flow declaration that `text` refers to, if any.
+    flowKey?: string,
+|};
+
+type ParseContext = {|
+    // The file that type names are resolved in.
+    file: SourceFile,
+    builder: DefinitionBuilder,
+    // Type parameter name => schema of its type argument
+    typeParams: {[name: string]: Object},
+    // Parts of the source that are replaced in the flow source.
+    // e.g.) references to other types, which are renamed to their declaration names.
+    renames: Array<Rename>,
+    // Names of the definitions that the schema depends on.
+    refs: string[],
+    // Whether the parsed nodes are from the source of `file`, rather than from the types that flow prints.
+    inSource: boolean,
+|};
+*/
+
+// Returns the schema that `schema` refers to if it's a reference to a definition.
+function derefSchema(schema, ctx/*: ?ParseContext*/) {
+    while (schema.$ref != null) {
+        assert(ctx != null);
+        schema = ctx.builder.getDefinition(schema.$ref);
+    }
+    return schema;
+}
+
+// Returns the type arguments of the GenericTypeAnnotation `desc`.
+function typeArgs(desc)/*: any[]*/ {
+    return desc.typeParameters != null ? desc.typeParameters.params : [];
+}
+
+// Returns `schema` if it is an object type, throws if not.
+function expectObjectSchema(utilName/*: string*/, schema, ctx/*: ?ParseContext*/) {
+    const res = derefSchema(schema, ctx);
+    if (res.type !== 'object' || res.anyOf != null) {
+        throw new UnsupportedTypeError(`${utilName}: expected an object type, got ${schemaToFlowType(schema)}`);
+    }
+    return res;
+}
+
+// Returns the values of the literal types in `schema`, or null if it's not a literal type or a union of them.
+function literalValues(schema, ctx/*: ?ParseContext*/)/*: ?Array<string | number | boolean>*/ {
+    schema = derefSchema(schema, ctx);
+    if (schema.anyOf != null) {
+        let res = [];
+        for (let subschema of schema.anyOf) {
+            const values = literalValues(subschema, ctx);
+            if (values == null) {
+                return null;
+            }
+            res.push(...values.filter(val => !res.includes(val)));
+        }
+        return res;
+    }
+    return schema.enum != null ? schema.enum : null;
+}
+
+// Returns the union of `schemas`.
+function unionSchema(schemas) {
+    return schemas.length === 1 ? schemas[0] : {
+        anyOf: schemas,
+    };
+}
+
+// Returns the schema of the indexer value of an object schema, or null if it has no indexer.
+function indexerValueSchema(objSchema)/*: ?Object*/ {
+    if (objSchema.patternProperties != null) {
+        return objSchema.patternProperties['.*'];
+    }
+    if (objSchema.additionalProperties != null && typeof objSchema.additionalProperties === 'object') {
+        return objSchema.additionalProperties;
+    }
+    return null;
+}
+
+// Returns a schema for the property `key` of `objSchema`.
+function propertySchema(utilName/*: string*/, objSchema, key) {
+    if (objSchema.properties != null && Object.prototype.hasOwnProperty.call(objSchema.properties, key)) {
+        return objSchema.properties[key];
+    }
+    const indexerValue = indexerValueSchema(objSchema);
+    if (indexerValue != null) {
+        return indexerValue;
+    }
+    throw new UnsupportedTypeError(`${utilName}: property ${JSON.stringify(key)} does not exist in ${schemaToFlowType(objSchema)}`);
+}
+
+// Flow utility types, evaluated on the schemas of their type arguments.
+const UTILITY_TYPES/*: {[name: string]: (args: any[], ctx: ?ParseContext) => Object}*/ = {
+    '$ReadOnly': utilityType('$ReadOnly', 1, ([obj], ctx) => parseDesc(obj, ctx)),
+    '$ReadOnlyArray': utilityType('$ReadOnlyArray', 1, ([elem], ctx) => ({
+        type: 'array',
+        items: parseDesc(elem, ctx),
+    })),
+    '$Keys': utilityType('$Keys', 1, ([obj], ctx) => {
+        const objSchema = expectObjectSchema('$Keys', parseDesc(obj, ctx), ctx);
+        if (indexerValueSchema(objSchema) != null) {
+            // The property names of objects with indexers are validated by `propertyNames`, if they are restricted.
+            return Object.assign({
+                type: 'string',
+            }, objSchema.propertyNames);
+        }
+        return {
+            type: 'string',
+            enum: Object.keys(objSchema.properties || {}),
+        };
+    }),
+    '$Values': utilityType('$Values', 1, ([obj], ctx) => {
+        const objSchema = expectObjectSchema('$Values', parseDesc(obj, ctx), ctx);
+        let values = Object.keys(objSchema.properties || {}).map(key => objSchema.properties[key]);
+        const indexerValue = indexerValueSchema(objSchema);
+        if (indexerValue != null) {
+            values.push(indexerValue);
+        }
+        if (values.length === 0) {
+            throw new UnsupportedTypeError(`$Values: ${schemaToFlowType(objSchema)} has no properties`);
+        }
+        // Remove duplicates.
+        values = values.filter((val, i) => values.findIndex(other => JSON.stringify(other) === JSON.stringify(val)) === i);
+        return unionSchema(values);
+    }),
+    '$Shape': utilityType('$Shape', 1, ([obj], ctx) => {
+        const objSchema = expectObjectSchema('$Shape', parseDesc(obj, ctx), ctx);
+        let res = Object.assign({}, objSchema);
+        if (res.required != null) {
+            res.required = [];
+        }
+        return res;
+    }),
+    '$Diff': utilityType('$Diff', 2, ([a, b], ctx) => {
+        const aSchema = expectObjectSchema('$Diff', parseDesc(a, ctx), ctx);
+        const bSchema = expectObjectSchema('$Diff', parseDesc(b, ctx), ctx);
+        if (aSchema.properties == null) {
+            throw new UnsupportedTypeError(`$Diff: ${schemaToFlowType(aSchema)} has no properties`);
+        }
+        let res = Object.assign({}, aSchema, {
+            properties: Object.assign({}, aSchema.properties),
+            required: aSchema.required.slice(),
+        });
+        const bRequired = bSchema.required || [];
+        for (let key of Object.keys(bSchema.properties || {})) {
+            // Properties that are required in B are removed, and optional ones become optional.
+            if (bRequired.includes(key)) {
+                delete res.properties[key];
+                if (res.propertyNames != null) {
+                    throw new UnsupportedTypeError('$Diff: removing properties from objects with indexers is not supported');
+                }
+            }
+            res.required = res.required.filter(name => name !== key);
+        }
+        return res;
+    }),
+    '$PropertyType': utilityType('$PropertyType', 2, ([obj, key], ctx) => {
+        if (key.type !== 'StringLiteralTypeAnnotation') {
+            throw new UnsupportedTypeError('$PropertyType: the property name must be a string literal');
+        }
+        const objSchema = expectObjectSchema('$PropertyType', parseDesc(obj, ctx), ctx);
+        return propertySchema('$PropertyType', objSchema, key.value);
+    }),
+    '$ElementType': utilityType('$ElementType', 2, ([obj, key], ctx) => {
+        const containerSchema = derefSchema(parseDesc(obj, ctx), ctx);
+        const keySchema = derefSchema(parseDesc(key, ctx), ctx);
+        if (containerSchema.type === 'array') {
+            if (!Array.isArray(containerSchema.items)) {
+                if (keySchema.type !== 'number') {
+                    throw new UnsupportedTypeError('$ElementType: arrays can only be indexed with numbers');
+                }
+                return containerSchema.items;
+            }
+            // tuples
+            const indices = literalValues(keySchema, ctx);
+            if (indices == null || indices.some(idx => typeof idx !== 'number' || containerSchema.items[idx] == null)) {
+                throw new UnsupportedTypeError(`$ElementType: invalid index ${schemaToFlowType(keySchema)} for ${schemaToFlowType(containerSchema)}`);
+            }
+            return unionSchema(indices.map(idx => containerSchema.items[(idx/*: any*/)]));
+        }
+        const objSchema = expectObjectSchema('$ElementType', containerSchema, ctx);
+        const keys = literalValues(keySchema, ctx);
+        if (keys == null) {
+            // Indexing with the key type of the indexer.
+            const indexerValue = indexerValueSchema(objSchema);
+            if (indexerValue == null) {
+                throw new UnsupportedTypeError(`$ElementType: ${schemaToFlowType(objSchema)} has no indexer for ${schemaToFlowType(keySchema)}`);
+            }
+            return indexerValue;
+        }
+        return unionSchema(keys.map(key => propertySchema('$ElementType', objSchema, String(key))));
+    }),
+};
+
+function utilityType(name/*: string*/, argCount/*: number*/, fn/*: (args: any[], ctx: ?ParseContext) => Object*/) {
+    return (args, ctx) => {
+        if (args.length !== argCount) {
+            throw new UnsupportedTypeError(`${name} takes ${argCount} type argument${argCount !== 1 ? 's' : ''}, got ${args.length}`);
+        }
+        return fn(args, ctx);
+    };
+}
+
+/*::
+// The members of an object type.
+type ObjectParts = {|
+    properties: {[key: string]: Object},
+    required: string[],
+    // Schemas of the key and the value of the indexer. `key` is null if any key is allowed.
+    indexer: ?{|key: ?Object, value: Object|},
+    exact: boolean,
+|};
+*/
+
+// Parses the members of the union `desc` that are not `void`.
+// Members that are unions or aliases with `void` members themselves are flattened, and `optional` tells whether there
+// were any `void` members.
+function parseNonVoidMembers(desc, ctx/*: ?ParseContext*/)/*: {|schemas: Object[], optional: boolean|}*/ {
+    if (desc.type === 'VoidTypeAnnotation') {
+        return {
+            schemas: [],
+            optional: true,
+        };
+    }
+    if (desc.type === 'UnionTypeAnnotation') {
+        const members = desc.types.map(type => parseNonVoidMembers(type, ctx));
+        if (!members.some(member => member.optional)) {
+            return {
+                schemas: [{
+                    anyOf: members.map(member => member.schemas[0]),
+                }],
+                optional: false,
+            };
+        }
+        return {
+            schemas: [].concat(...members.map(member => member.schemas)),
+            optional: true,
+        };
+    }
+    if (ctx != null && ctx.builder.isVoidAlias(desc, ctx)) {
+        return ctx.builder.parseVoidAlias(desc, ctx);
+    }
+    return {
+        schemas: [parseDesc(desc, ctx)],
+        optional: false,
+    };
+}
+
+// Parses the type of a value that JSON can omit, i.e. a property or an indexer value.
+// Undefined values are omitted, so `void` in the type makes the value optional instead.
+function parseOmittableDesc(desc, ctx/*: ?ParseContext*/)/*: {|schema: Object, optional: boolean|}*/ {
+    const {schemas, optional} = parseNonVoidMembers(desc, ctx);
+    if (schemas.length === 0) {
+        // The value must be absent.
+        return {
+            schema: {
+                not: {},
+            },
+            optional: true,
+        };
+    }
+    return {
+        schema: unionSchema(schemas),
+        optional,
+    };
+}
+
+// Returns the schema of an object type.
+function buildObjectSchema(parts/*: ObjectParts*/) {
+    const indexer = parts.indexer;
+    if (indexer != null && Object.keys(parts.properties).length === 0) {
+        let res = {
+            type: 'object',
+        };
+        if (indexer.key != null) {
+            res.propertyNames = indexer.key;
+        }
+        res.patternProperties = {
+            '.*': indexer.value,
+        };
+        res.additionalProperties = false;
+        return res;
+    }
+    let res = {
+        type: 'object',
+        properties: parts.properties,
+        required: parts.required.slice().sort(),
+    };
+    if (indexer != null) {
+        // Declared properties are validated against their own types, and every other property against the indexer.
+        if (indexer.key != null) {
+            res.propertyNames = {
+                anyOf: [
+                    {
+                        enum: Object.keys(parts.properties),
+                    },
+                    indexer.key,
+                ],
+            };
+        }
+        res.additionalProperties = indexer.value;
+    } else if (parts.exact) {
+        res.additionalProperties = false;
+    }
+    return res;
+}
+
+// The inverse of `buildObjectSchema`.
+function objectSchemaParts(schema)/*: ObjectParts*/ {
+    assert(schema.type === 'object');
+    const value = indexerValueSchema(schema);
+    let key = null;
+    if (value != null && schema.propertyNames != null) {
+        key = schema.properties != null ? schema.propertyNames.anyOf[1] : schema.propertyNames;
+    }
+    return {
+        properties: Object.assign({}, schema.properties),
+        required: (schema.required || []).slice(),
+        indexer: value != null ? {key, value} : null,
+        exact: schema.additionalProperties === false && value == null,
+    };
+}
+
+function parseObjectType(desc, ctx/*: ?ParseContext*/)/*: ObjectParts*/ {
+    if (desc.callProperties.length !== 0) {
+        throw new UnsupportedTypeError('call properties not supported');
+    }
+    if (desc.indexers.length > 1) {
+        throw new UnsupportedTypeError('objects with multiple indexers are not supported');
+    }
+    let res = {
+        properties: {},
+        required: [],
+        indexer: null,
+        exact: desc.exact === true,
+    };
+    for (let prop of desc.properties) {
+        if (prop.type === 'ObjectTypeSpreadProperty') {
+            // {...A, b: string}
+            const spread = derefSchema(parseDesc(prop.argument, ctx), ctx);
+            if (spread.type !== 'object' || spread.anyOf != null) {
+                throw new UnsupportedTypeError('cannot spread non-object type ' + schemaToFlowType(spread));
+            }
+            const parts = objectSchemaParts(spread);
+            for (let key of Object.keys(parts.properties)) {
+                if (parts.required.includes(key)) {
+                    res.properties[key] = parts.properties[key];
+                    if (!res.required.includes(key)) {
+                        res.required.push(key);
+                    }
+                } else if (Object.prototype.hasOwnProperty.call(res.properties, key)) {
+                    // An optional property may or may not override the existing one.
+                    res.properties[key] = unionSchema([res.properties[key], parts.properties[key]]);
+                } else {
+                    res.properties[key] = parts.properties[key];
+                }
+            }
+            if (parts.indexer != null) {
+                if (res.indexer != null && JSON.stringify(res.indexer) !== JSON.stringify(parts.indexer)) {
+                    throw new UnsupportedTypeError('cannot spread objects with different indexers');
+                }
+                res.indexer = parts.indexer;
+            }
+            // The result is exact only if every spread object is exact.
+            if (!parts.exact && parts.indexer == null) {
+                res.exact = false;
+            }
+            continue;
+        }
+
+        assert(prop.type === 'ObjectTypeProperty');
+        assert(prop.kind === 'init');
+        let key;
+        if (prop.key.type === 'Identifier') {
+            key = prop.key.name;
+        } else {
+            assert(prop.key.type === 'Literal');
+            key = String(prop.key.value);
+        }
+        // Properties declared after spreads override them.
+        const segment = /^[A-Za-z_$][\w$]*$/.test(key) ? '.' + key : `[${JSON.stringify(key)}]`;
+        const value = parseChildDesc(segment, () => parseOmittableDesc(prop.value, ctx));
+        delete res.properties[key];
+        res.properties[key] = value.schema;
+        res.required = res.required.filter(name => name !== key);
+        if (prop.optional !== true && !value.optional) {
+            res.required.push(key);
+        }
+    }
+    if (desc.indexers.length !== 0) {
+        const indexer = desc.indexers[0];
+        if (res.indexer != null) {
+            throw new UnsupportedTypeError('objects with multiple indexers are not supported');
+        }
+        res.indexer = {
+            key: keySchemaFromValueSchema(parseDesc(indexer.key, ctx), ctx),
+            value: parseChildDesc('[key]', () => parseOmittableDesc(indexer.value, ctx).schema),
+        };
+    }
+    return res;
+}
+
+// Intersections of object types are merged into a single object type if possible, and become `allOf` otherwise.
+function parseIntersection(desc, ctx/*: ?ParseContext*/) {
+    const schemas = desc.types.map(type => parseDesc(type, ctx));
+    const members = schemas.map(schema => derefSchema(schema, ctx));
+    const fallback = {
+        allOf: schemas,
+    };
+    if (members.some(member => member.type !== 'object' || member.anyOf != null)) {
+        return fallback;
+    }
+
+    const parts = members.map(objectSchemaParts);
+    if (parts.length > 1 && parts.some(part => part.indexer != null)) {
+        // Properties of the other types would have to satisfy the indexer as well.
+        return fallback;
+    }
+    let allKeys = [];
+    for (let part of parts) {
+        allKeys.push(...Object.keys(part.properties).filter(key => !allKeys.includes(key)));
+    }
+    const exactParts = parts.filter(part => part.exact);
+    if (exactParts.some(part => allKeys.some(key => !Object.prototype.hasOwnProperty.call(part.properties, key)))) {
+        // An exact object type does not allow the properties that only the other types have.
+        return fallback;
+    }
+
+    let res = {
+        properties: {},
+        required: [],
+        indexer: null,
+        exact: exactParts.length !== 0,
+    };
+    for (let part of parts) {
+        for (let key of Object.keys(part.properties)) {
+            const existing = res.properties[key];
+            const schema = part.properties[key];
+            if (existing == null || JSON.stringify(existing) === JSON.stringify(schema)) {
+                res.properties[key] = schema;
+            } else if (existing.allOf != null) {
+                // `existing` can be the schema of a property of another type, which must not change.
+                res.properties[key] = {
+                    allOf: [...existing.allOf, schema],
+                };
+            } else {
+                res.properties[key] = {
+                    allOf: [existing, schema],
+                };
+            }
+        }
+        res.required.push(...part.required.filter(key => !res.required.includes(key)));
+    }
+    return buildObjectSchema(res);
+}
+
+function parseDesc(desc, ctx/*: ?ParseContext*/=null) {
+    try {
+        return parseDescNode(desc, ctx);
+    } catch (exc) {
+        // The innermost node that is being parsed is where the unsupported type is.
+        if (exc instanceof UnsupportedTypeError && exc.loc == null && ctx != null && ctx.inSource) {
+            exc.loc = nodeLocation(ctx.file.path, desc);
+        }
+        throw exc;
+    }
+}
+
+function parseDescNode(desc, ctx/*: ?ParseContext*/) {
     switch (desc.type) {
     case 'StringLiteralTypeAnnotation':
         return {
@@ -83,109 +848,624 @@ function parseDesc(desc) {
             type: 'boolean',
         };
     case 'VoidTypeAnnotation':
-        throw new UnsupportedTypeError('undefined types not supported');
+        throw new UnsupportedTypeError('undefined types are only supported in properties and indexer values');
 
-    case 'NullableTypeAnnotation':
+    case 'NullableTypeAnnotation': {
+        // `?T` already includes undefined.
+        const inner = parseNonVoidMembers(desc.typeAnnotation, ctx).schemas;
+        if (inner.length === 0) {
+            return {
+                type: 'null',
+            };
+        }
         return {
             anyOf: [
                 {
                     type: 'null',
                 },
-                parseDesc(desc.typeAnnotation),
+                unionSchema(inner),
             ],
         };
+    }
 
     case 'ObjectTypeAnnotation':
-        if (desc.callProperties.length !== 0) {
-            throw new UnsupportedTypeError('call properties not supported');
+        return buildObjectSchema(parseObjectType(desc, ctx));
+
+    case 'IntersectionTypeAnnotation':
+        return parseIntersection(desc, ctx);
+
+    case 'ArrayTypeAnnotation':
+        return {
+            type: 'array',
+            items: parseChildDesc('[]', () => parseDesc(desc.elementType, ctx)),
+        };
+
+    case 'TupleTypeAnnotation':
+        return {
+            type: 'array',
+            items: desc.types.map((type, i) => parseChildDesc(`[${i}]`, () => parseDesc(type, ctx))),
+        };
+
+    case 'GenericTypeAnnotation':
+        if (desc.id.type !== 'Identifier') {
+            throw new UnsupportedTypeError('qualified type names are not supported');
         }
-        if (desc.indexers.length !== 0) {
-            if (desc.properties.length > 0) {
-                throw new UnsupportedTypeError('objects with both static properties and indexed properties are not supported');
+        let name = desc.id.name;
+        if (ctx != null && Object.prototype.hasOwnProperty.call(ctx.typeParams, name)) {
+            if (desc.typeParameters != null) {
+                throw new UnsupportedTypeError('type parameter ' + name + ' cannot take type arguments');
             }
-            // TODO: keyType validation is not supported yet.
-            //let keyType = parseDesc(desc.indexers[0].key);
-            let valueType = parseDesc(desc.indexers[0].value);
+            const arg = ctx.typeParams[name];
+            forEachRef(arg, ref => ctx.refs.push(ref.slice(DEFINITIONS_PREFIX.length)));
+            return arg;
+        } else if (name === 'Array') {
+            assert(desc.typeParameters.type === 'TypeParameterInstantiation');
+            assert(desc.typeParameters.params.length === 1);
+            let res = parseChildDesc('[]', () => parseDesc(desc.typeParameters.params[0], ctx));
             return {
-                type: 'object',
-                patternProperties: {
-                    '.*': valueType,
-                },
-                additionalProperties: false,
+                type: 'array',
+                items: res,
             };
+        } else if (name === '$Exact') {
+            assert(desc.typeParameters.type === 'TypeParameterInstantiation');
+            assert(desc.typeParameters.params.length === 1);
+            let res = derefSchema(parseDesc(desc.typeParameters.params[0], ctx), ctx);
+            if (res.type === 'object' && res.additionalProperties === undefined) {
+                res = Object.assign({}, res, {
+                    additionalProperties: false,
+                });
+            }
+            return res;
+        } else if (Object.prototype.hasOwnProperty.call(UTILITY_TYPES, name)) {
+            return UTILITY_TYPES[name](typeArgs(desc), ctx);
+        } else if (ctx != null) {
+            return ctx.builder.refByName(desc, ctx);
+        } else {
+            throw new UnsupportedTypeError('unsupported type: ' + name);
+        }
+
+    case 'UnionTypeAnnotation':
+        let types = desc.types.map(type => parseDesc(type, ctx));
+        return {
+            anyOf: types,
+        };
+
+    case 'TypeofTypeAnnotation':
+        if (ctx == null) {
+            throw new UnsupportedTypeError('typeof is not supported');
+        }
+        return ctx.builder.typeofValue(desc, ctx);
+
+    case 'AnyTypeAnnotation':
+    case 'MixedTypeAnnotation':
+        return {};
+
+    default:
+        // Type declarations read directly from the source may contain anything.
+        throw new UnsupportedTypeError('unsupported type ' + desc.type);
+    }
+}
+
+const DEFINITIONS_PREFIX = '#/definitions/';
+
+// Calls `fn` for every `$ref` in `schema`.
+function forEachRef(schema, fn/*: (ref: string) => void*/) {
+    if (Array.isArray(schema)) {
+        for (let item of schema) {
+            forEachRef(item, fn);
+        }
+    } else if (schema != null && typeof schema === 'object') {
+        for (let key of Object.keys(schema)) {
+            if (key === '$ref' && typeof schema[key] === 'string') {
+                fn(schema[key]);
+            } else {
+                forEachRef(schema[key], fn);
+            }
+        }
+    }
+}
+
+// Returns the source of `range` in `src`, with the ranges in `renames` replaced.
+// Renames outside of `range` are ignored.
+function applyRenames(src/*: string*/, range/*: [number, number]*/, renames) {
+    let res = '';
+    let pos = range[0];
+    for (let rename of renames.slice().sort((a, b) => a.range[0] - b.range[0])) {
+        if (rename.range[0] < pos || rename.range[1] > range[1]) {
+            continue;
+        }
+        res += src.slice(pos, rename.range[0]) + rename.text;
+        pos = rename.range[1];
+    }
+    return res + src.slice(pos, range[1]);
+}
+
+// Returns a short name that describes `schema`, which is used to name instantiations of generic types.
+function schemaName(schema)/*: string*/ {
+    if (schema.$ref != null) {
+        return schema.$ref.slice(DEFINITIONS_PREFIX.length);
+    } else if (['string', 'number', 'boolean', 'null'].includes(schema.type) && schema.enum == null) {
+        return schema.type;
+    } else if (schema.type === 'array' && schema.items != null && !Array.isArray(schema.items)) {
+        return schemaName(schema.items) + 'Array';
+    } else if (schema.anyOf != null && schema.anyOf.length === 2 && schema.anyOf[0].type === 'null') {
+        return 'Maybe' + schemaName(schema.anyOf[1]);
+    } else {
+        return 'Type';
+    }
+}
+
+// Returns the schema of the flow type of the constant expression `node`, for `typeof`.
+// Literals in objects are typed as their literal types only if the object is frozen, as flow does.
+function schemaOfValue(node, frozen/*: boolean*/, name/*: string*/) {
+    switch (node.type) {
+    case 'Literal':
+        if (node.value === null) {
+            return {
+                type: 'null',
+            };
+        } else if (['string', 'number', 'boolean'].includes(typeof node.value)) {
+            return frozen ? {
+                type: typeof node.value,
+                enum: [node.value],
+            } : {
+                type: typeof node.value,
+            };
+        }
+        break;
+    case 'UnaryExpression':
+        if (node.operator === '-' && node.argument.type === 'Literal' && typeof node.argument.value === 'number') {
+            return frozen ? {
+                type: 'number',
+                enum: [-node.argument.value],
+            } : {
+                type: 'number',
+            };
+        }
+        break;
+    case 'TemplateLiteral':
+        if (node.expressions.length === 0) {
+            return {
+                type: 'string',
+            };
+        }
+        break;
+    case 'ObjectExpression': {
+        let res = {
+            type: 'object',
+            properties: {},
+            required: [],
+            additionalProperties: false,
+        };
+        for (let prop of node.properties) {
+            if (prop.type !== 'Property' || prop.computed || prop.kind !== 'init' || prop.method) {
+                throw new UnsupportedTypeError(`typeof ${name}: unsupported object member`);
+            }
+            const key = prop.key.type === 'Identifier' ? prop.key.name : String(prop.key.value);
+            // Object.freeze() is shallow.
+            const nested = prop.value.type === 'ObjectExpression' || prop.value.type === 'ArrayExpression';
+            res.properties[key] = schemaOfValue(prop.value, frozen && !nested, name);
+            res.required.push(key);
+        }
+        res.required.sort();
+        return res;
+    }
+    case 'ArrayExpression': {
+        let items = [];
+        for (let elem of node.elements) {
+            if (elem == null || elem.type === 'SpreadElement') {
+                throw new UnsupportedTypeError(`typeof ${name}: unsupported array element`);
+            }
+            const item = schemaOfValue(elem, false, name);
+            if (!items.some(other => JSON.stringify(other) === JSON.stringify(item))) {
+                items.push(item);
+            }
+        }
+        return {
+            type: 'array',
+            items: items.length !== 0 ? unionSchema(items) : {},
+        };
+    }
+    case 'CallExpression':
+        if (node.callee.type === 'MemberExpression' && !node.callee.computed &&
+                node.callee.object.type === 'Identifier' && node.callee.object.name === 'Object' &&
+                node.callee.property.type === 'Identifier' && node.callee.property.name === 'freeze' &&
+                node.arguments.length === 1) {
+            return schemaOfValue(node.arguments[0], true, name);
+        }
+        break;
+    case 'TypeCastExpression':
+        throw new UnsupportedTypeError(`typeof ${name}: type casts are not supported; use the type directly`);
+    }
+    throw new UnsupportedTypeError(`typeof ${name}: unsupported expression ${node.type}`);
+}
+
+// Returns the schema of the runtime values of the EnumDeclaration `decl`.
+function enumSchema(decl) {
+    const body = decl.body;
+    const values = body.members.map(member => {
+        if (member.type === 'EnumDefaultedMember') {
+            // enum A {B, C}
+            return member.id.name;
+        }
+        // The initializer of boolean members may be a boolean instead of a Literal node.
+        return member.init != null && typeof member.init === 'object' ? member.init.value : member.init;
+    });
+    switch (body.type) {
+    case 'EnumStringBody':
+        return {
+            type: 'string',
+            enum: values,
+        };
+    case 'EnumNumberBody':
+        return {
+            type: 'number',
+            enum: values,
+        };
+    case 'EnumBooleanBody':
+        return {
+            type: 'boolean',
+            enum: values,
+        };
+    default:
+        throw new UnsupportedTypeError(`enum ${decl.id.name}: symbol enums are not supported`);
+    }
+}
+
+// Builds schemas of type aliases as a set of definitions that reference each other with `$ref`.
+//
+// Every type alias has a flow declaration name, and every instantiation of it has a definition name.
+// They are the same for non-generic types.
+class DefinitionBuilder {
+    /*::
+    resolver: TypeResolver;
+    // Definition name => schema
+    definitions: {[key: string]: Object};
+    // Definition name => the error that occurred while processing the type
+    errors: {[key: string]: Error};
+    // Definition name => names of the definitions that the schema depends on
+    dependencies: {[key: string]: string[]};
+    // Flow declaration name => flow source of the declaration, without the leading `type `.
+    declarationSources: {[flowKey: string]: string};
+    // Flow declaration name => names of the declarations that the declaration refers to
+    declarationDependencies: {[flowKey: string]: string[]};
+    // Definition name of an instantiation of a generic type => flow source of the instantiation
+    // e.g.) `Page<User>`
+    instanceSources: {[key: string]: string};
+    // TypeAlias node => flow declaration name
+    flowKeys: Map<any, string>;
+    // instantiation id => definition name
+    instances: Map<string, string>;
+    preferredKeys: Map<any, string>;
+    usedKeys: Set<string>;
+    depth: number;
+    // Whether type names are in types expanded by flow, which only refer to enums.
+    expanded: boolean;
+    */
+    constructor(resolver/*: TypeResolver*/, expanded/*: boolean*/=false) {
+        this.resolver = resolver;
+        this.expanded = expanded;
+        this.definitions = {};
+        this.errors = {};
+        this.dependencies = {};
+        this.declarationSources = {};
+        this.declarationDependencies = {};
+        this.instanceSources = {};
+        this.flowKeys = new Map();
+        this.instances = new Map();
+        this.preferredKeys = new Map();
+        this.usedKeys = new Set();
+        this.depth = 0;
+    }
+
+    // Makes the type declared by `binding` use `key` as its name.
+    // Exported types should be reserved before anything is defined so that they keep their exported names.
+    // `binding` is null if the name is taken by a type that is not defined with the builder.
+    reserve(binding/*: ?TypeBinding*/, key/*: string*/) {
+        assert(!this.usedKeys.has(key));
+        this.usedKeys.add(key);
+        if (binding != null && !this.preferredKeys.has(binding.decl)) {
+            this.preferredKeys.set(binding.decl, key);
+        }
+    }
+
+    _allocKey(name/*: string*/)/*: string*/ {
+        let key = name;
+        for (let i = 2; this.usedKeys.has(key); i++) {
+            key = name + '_' + i;
+        }
+        this.usedKeys.add(key);
+        return key;
+    }
+
+    // Returns the flow declaration name of the type alias or enum `decl`.
+    flowKey(decl)/*: string*/ {
+        let flowKey = this.flowKeys.get(decl);
+        if (flowKey == null) {
+            flowKey = this.preferredKeys.get(decl) || this._allocKey(decl.id.name);
+            this.flowKeys.set(decl, flowKey);
+        }
+        return flowKey;
+    }
+
+    // Defines the type declared by `binding` instantiated with the type arguments `args`,
+    // and returns its definition name.
+    define(binding/*: TypeBinding*/, args/*: Object[]*/=[])/*: string*/ {
+        const decl = binding.decl;
+        const name = decl.id.name;
+        const flowKey = this.flowKey(decl);
+        const ctx = this._declarationContext(binding, args);
+        const params = decl.typeParameters != null ? decl.typeParameters.params : [];
+        const boundArgs = params.map(param => ctx.typeParams[param.name]);
+        const instanceId = params.length !== 0 ? flowKey + JSON.stringify(boundArgs) : flowKey;
+
+        const existingKey = this.instances.get(instanceId);
+        if (existingKey != null) {
+            if (this.errors[existingKey] != null) {
+                throw this.errors[existingKey];
+            }
+            return existingKey;
+        }
+
+        const key = params.length !== 0 ? this._allocKey(flowKey + '_' + boundArgs.map(schemaName).join('_')) : flowKey;
+        // Register the key before processing the type so that recursive references resolve to it.
+        this.instances.set(instanceId, key);
+        this.depth++;
+        try {
+            if (this.depth > 100) {
+                throw new UnsupportedTypeError(`max recursion limit exceeded while instantiating ${name}`);
+            }
+            if (decl.type === 'EnumDeclaration') {
+                // Values of the enum are validated, and they are typed as a union of literals in the flow source.
+                const schema = enumSchema(decl);
+                this.definitions[key] = schema;
+                this.dependencies[key] = [];
+                this.declarationSources[flowKey] = flowKey + ' = ' + schemaToFlowType(schema);
+                this.declarationDependencies[flowKey] = [];
+                return key;
+            }
+            const schema = parseDesc(decl.right, ctx);
+            this.definitions[key] = schema;
+
+            const deps = new Set(ctx.refs);
+            forEachRef(schema, ref => deps.add(ref.slice(DEFINITIONS_PREFIX.length)));
+            this.dependencies[key] = Array.from(deps);
+            this._declare(binding, ctx);
+        } catch (exc) {
+            this.errors[key] = exc;
+            throw exc;
+        } finally {
+            this.depth--;
+        }
+        return key;
+    }
+
+    // Returns the context to parse the declaration of `binding` in, with its type parameters bound to `args`.
+    _declarationContext(binding/*: TypeBinding*/, args/*: Object[]*/)/*: ParseContext*/ {
+        const decl = binding.decl;
+        const name = decl.id.name;
+        const ctx = {
+            file: binding.file,
+            builder: this,
+            typeParams: {},
+            renames: [],
+            refs: [],
+            inSource: true,
+        };
+
+        const params = decl.typeParameters != null ? decl.typeParameters.params : [];
+        if (args.length > params.length) {
+            throw new UnsupportedTypeError(`too many type arguments for ${name}`);
+        }
+        params.forEach((param, i) => {
+            if (i < args.length) {
+                ctx.typeParams[param.name] = args[i];
+            } else if (param.default != null) {
+                ctx.typeParams[param.name] = parseDesc(param.default, ctx);
+            } else {
+                throw new UnsupportedTypeError(`missing type argument ${param.name} for ${name}`);
+            }
+        });
+        return ctx;
+    }
+
+    // Records the flow source of the type alias declared by `binding`, whose type has been parsed in `ctx`.
+    _declare(binding/*: TypeBinding*/, ctx/*: ParseContext*/) {
+        const decl = binding.decl;
+        const flowKey = this.flowKey(decl);
+        if (this.declarationSources[flowKey] == null) {
+            const src = binding.file.src;
+            const paramsSrc = decl.typeParameters != null ? applyRenames(src, decl.typeParameters.range, ctx.renames) : '';
+            this.declarationSources[flowKey] = flowKey + paramsSrc + ' = ' + applyRenames(src, decl.right.range, ctx.renames);
+            this.declarationDependencies[flowKey] = ctx.renames.filter(rename => rename.flowKey != null).map(rename => rename.flowKey);
+        }
+    }
+
+    // Returns whether the GenericTypeAnnotation `desc` names a type alias of a union with `void` members, e.g.
+    // `type MaybeString = string | void`, which can only be the type of a property or an indexer value.
+    isVoidAlias(desc, ctx/*: ParseContext*/)/*: boolean*/ {
+        if (this.expanded || desc.type !== 'GenericTypeAnnotation' || desc.id.type !== 'Identifier') {
+            // Flow has already expanded the aliases.
+            return false;
         }
-        let res = {
-            type: 'object',
-            properties: {},
-            required: [],
+        const name = desc.id.name;
+        if (Object.prototype.hasOwnProperty.call(ctx.typeParams, name) || name === 'Array' || name === '$Exact' ||
+            Object.prototype.hasOwnProperty.call(UTILITY_TYPES, name)) {
+            return false;
+        }
+        const hasVoid = (desc, binding/*: TypeBinding*/, depth/*: number*/)/*: boolean*/ => {
+            if (desc.type === 'VoidTypeAnnotation') {
+                return true;
+            }
+            if (desc.type === 'UnionTypeAnnotation') {
+                return desc.types.some(type => hasVoid(type, binding, depth));
+            }
+            if (desc.type !== 'GenericTypeAnnotation' || desc.id.type !== 'Identifier' || depth > 100) {
+                return false;
+            }
+            const params = binding.decl.typeParameters != null ? binding.decl.typeParameters.params : [];
+            if (params.some(param => param.name === desc.id.name)) {
+                return false;
+            }
+            const aliased = this.resolver.resolveLocal(binding.file, desc.id.name);
+            return aliased != null && aliased.decl.type === 'TypeAlias' && hasVoid(aliased.decl.right, aliased, depth + 1);
         };
-        for (let prop of desc.properties) {
-            assert(prop.type === 'ObjectTypeProperty');
-            assert(prop.kind === 'init');
-            assert(prop.key.type === 'Identifier');
-            let key = prop.key.name;
-            let value = parseDesc(prop.value);
-            res.properties[key] = value;
-            if (prop.optional !== true) {
-                res.required.push(key);
+        const binding = this.resolver.resolveLocal(ctx.file, name);
+        return binding != null && binding.decl.type === 'TypeAlias' && hasVoid(binding.decl.right, binding, 0);
+    }
+
+    // Parses the members that are not `void` of the alias named by `desc`, for which `isVoidAlias` is true.
+    // The alias has no definition of its own, but it is declared in the flow source, where `desc` still refers to it.
+    parseVoidAlias(desc, ctx/*: ParseContext*/)/*: {|schemas: Object[], optional: boolean|}*/ {
+        const binding = this.resolver.resolveLocal(ctx.file, desc.id.name);
+        assert(binding != null);
+        const args = typeArgs(desc).map(arg => parseDesc(arg, ctx));
+        const aliasCtx = this._declarationContext(binding, args);
+        let res;
+        this.depth++;
+        try {
+            if (this.depth > 100) {
+                throw new UnsupportedTypeError(`max recursion limit exceeded while instantiating ${desc.id.name}`);
             }
+            res = parseNonVoidMembers(binding.decl.right, aliasCtx);
+        } finally {
+            this.depth--;
         }
-        if (desc.exact) {
-            res.additionalProperties = false;
-        }
-        res.required.sort();
+        this._declare(binding, aliasCtx);
+        const flowKey = this.flowKey(binding.decl);
+        ctx.renames.push({
+            range: desc.id.range,
+            text: flowKey,
+            flowKey,
+        });
+        ctx.refs.push(...aliasCtx.refs);
         return res;
+    }
 
-    case 'TupleTypeAnnotation':
+    // Returns a reference to the type named by the GenericTypeAnnotation `desc`.
+    refByName(desc, ctx/*: ParseContext*/) {
+        const name = desc.id.name;
+        const binding = this.expanded ? this._resolveExpandedName(ctx.file, name) : this.resolver.resolveLocal(ctx.file, name);
+        if (binding == null) {
+            throw new UnsupportedTypeError('unsupported type: ' + name);
+        }
+        const argDescs = desc.typeParameters != null ? desc.typeParameters.params : [];
+        const args = argDescs.map(arg => parseDesc(arg, ctx));
+        const key = this.define(binding, args);
+        const flowKey = this.flowKey(binding.decl);
+        ctx.renames.push({
+            range: desc.id.range,
+            text: flowKey,
+            flowKey,
+        });
+        ctx.refs.push(key);
+        if (argDescs.length !== 0 && Object.keys(ctx.typeParams).length === 0 && this.instanceSources[key] == null) {
+            const argSrcs = argDescs.map(arg => applyRenames(ctx.file.src, arg.range, ctx.renames));
+            this.instanceSources[key] = `${flowKey}<${argSrcs.join(', ')}>`;
+        }
         return {
-            type: 'array',
-            items: desc.types.map(parseDesc),
+            $ref: DEFINITIONS_PREFIX + key,
         };
+    }
 
-    case 'GenericTypeAnnotation':
-        assert(desc.id.type === 'Identifier');
-        let name = desc.id.name;
-        if (name === 'Array') {
-            assert(desc.typeParameters.type === 'TypeParameterInstantiation');
-            assert(desc.typeParameters.params.length === 1);
-            let res = parseDesc(desc.typeParameters.params[0]);
-            return {
-                type: 'array',
-                items: res,
-            };
-        } else if (name === '$Exact') {
-            assert(desc.typeParameters.type === 'TypeParameterInstantiation');
-            assert(desc.typeParameters.params.length === 1);
-            let res = parseDesc(desc.typeParameters.params[0]);
-            if (res.type === 'object') {
-                res.additionalProperties = false;
-            }
-            return res;
-        } else {
-            throw new UnsupportedTypeError('unsupported type: ' + name);
+    // Flow prints enums by their declared names, which are not necessarily in the scope of `file`.
+    _resolveExpandedName(file/*: SourceFile*/, name/*: string*/)/*: ?TypeBinding*/ {
+        const binding = this.resolver.resolveLocal(file, name);
+        if (binding != null) {
+            return binding.decl.type === 'EnumDeclaration' ? binding : null;
+        }
+        const enums = this.resolver.findEnums(name);
+        if (enums.length > 1) {
+            throw new UnsupportedTypeError(`enum ${name} is ambiguous: declared in ${enums.map(binding => binding.file.path).join(', ')}`);
         }
+        return enums.length !== 0 ? enums[0] : null;
+    }
 
-    case 'UnionTypeAnnotation':
-        let types = desc.types.map(parseDesc);
-        return {
-            anyOf: types,
-        };
+    // Returns the schema of the TypeofTypeAnnotation `desc`.
+    typeofValue(desc, ctx/*: ParseContext*/) {
+        const arg = desc.argument;
+        if (arg.type !== 'GenericTypeAnnotation' || arg.id.type !== 'Identifier') {
+            throw new UnsupportedTypeError('typeof is only supported for constants');
+        }
+        const name = arg.id.name;
+        const binding = this.resolver.resolveValue(ctx.file, name);
+        if (binding == null) {
+            throw new UnsupportedTypeError(`typeof ${name}: ${name} is not a constant declared or imported in ${ctx.file.path}`);
+        }
+        const schema = schemaOfValue(binding.init, false, name);
+        // The constant does not exist in the generated file.
+        ctx.renames.push({
+            range: desc.range,
+            text: schemaToFlowType(schema),
+        });
+        return schema;
+    }
 
-    case 'AnyTypeAnnotation':
-        return {};
+    getDefinition(ref/*: string*/)/*: Object*/ {
+        assert(ref.startsWith(DEFINITIONS_PREFIX));
+        const key = ref.slice(DEFINITIONS_PREFIX.length);
+        if (this.errors[key] != null) {
+            throw this.errors[key];
+        }
+        const schema = this.definitions[key];
+        if (schema == null) {
+            // The type is still being processed.
+            throw new UnsupportedTypeError('recursive type ' + key + ' cannot be used here');
+        }
+        return schema;
+    }
 
-    default:
-        throw new Error('unknown type ' + desc.type);
+    // Returns the names of the definitions that are reachable from `key`, including itself.
+    // Throws if any of them could not be processed.
+    reachable(key/*: string*/)/*: Set<string>*/ {
+        const res = new Set();
+        const visit = (key) => {
+            if (res.has(key)) {
+                return;
+            }
+            res.add(key);
+            // Make sure that the type has been processed successfully.
+            this.getDefinition(DEFINITIONS_PREFIX + key);
+            for (let dep of this.dependencies[key]) {
+                visit(dep);
+            }
+        };
+        visit(key);
+        return res;
+    }
+
+    // Returns the names of the flow declarations that are reachable from `flowKey`, including itself.
+    reachableDeclarations(flowKey/*: string*/)/*: Set<string>*/ {
+        const res = new Set();
+        const visit = (flowKey) => {
+            if (res.has(flowKey)) {
+                return;
+            }
+            res.add(flowKey);
+            for (let dep of this.declarationDependencies[flowKey]) {
+                visit(dep);
+            }
+        };
+        visit(flowKey);
+        return res;
     }
 }
 
 const FLOW_PATH = 'flow';
 
+function flowCommand(opts/*: Options*/)/*: FlowCommand*/ {
+    return {
+        path: opts.flowPath != null ? opts.flowPath : FLOW_PATH,
+        cwd: opts.cwd,
+    };
+}
+
 // Invokes a flow command
-async function callFlow(args/*: string[]*/)/*: Promise<string>*/ {
+async function callFlow(flow/*: FlowCommand*/, args/*: string[]*/)/*: Promise<string>*/ {
     return new Promise((resolve, reject) => {
-        child_process.execFile(FLOW_PATH, args, {
+        child_process.execFile(flow.path, args, {
             encoding: 'utf-8',
+            cwd: flow.cwd,
         }, (err, stdout) => {
             err != null ? reject(err) : resolve(stdout)
         });
@@ -194,7 +1474,7 @@ async function callFlow(args/*: string[]*/)/*: Promise<string>*/ {
 
 // Invokes a flow command, automatically retrying it if needed.
 // Some flow commands tend to hang very frequently, so this function calls flow multiple times in the hope that some of them will succeed earlier.
-async function callFlowAutoRetry(args/*: string[]*/)/*: Promise<string>*/ {
+async function callFlowAutoRetry(flow/*: FlowCommand*/, args/*: string[]*/)/*: Promise<string>*/ {
     const CALL_TIMEOUT = 1000;
     const MAX_RETRIES = 20;
     const RETRY_INTV = 100;
@@ -208,9 +1488,10 @@ async function callFlowAutoRetry(args/*: string[]*/)/*: Promise<string>*/ {
 
         let child;
         const p = new Promise((resolve, reject) => {
-            child = child_process.execFile(FLOW_PATH, args, {
+            child = child_process.execFile(flow.path, args, {
                 encoding: 'utf-8',
                 timeout: CALL_TIMEOUT,
+                cwd: flow.cwd,
             }, (err, stdout) => {
                 childs[idx] = null;
                 promises[idx] = null;
@@ -288,13 +1569,100 @@ async function callFlowAutoRetry(args/*: string[]*/)/*: Promise<string>*/ {
     }
 }
 
+// Returns the path of the module `request` imported from `fromPath`.
+async function flowFindModule(flow/*: FlowCommand*/, request/*: string*/, fromPath/*: string*/)/*: Promise<string>*/ {
+    return (await callFlowAutoRetry(flow, ['find-module', '--quiet', request, fromPath])).trim();
+}
+
+// Converts a type name pattern, where `*` matches any characters, to a regular expression.
+function namePatternToRegExp(pattern/*: string*/)/*: RegExp*/ {
+    return new RegExp('^' + pattern.split('*').map(part => part.replace(/[\\^$.|?+()[\]{}]/g, '\\$&')).join('.*') + '$');
+}
+
+// Returns the names exported by each export statement of `ast` with the nodes that declare or export them,
+// and the comments right above the statement and the ones after it on the same line.
+function exportStatements(ast)/*: Array<{|exports: Array<{|name: string, node: Object|}>, comments: string[]|}>*/ {
+    let res = [];
+    ast.body.forEach((child, i) => {
+        if (child.type !== 'ExportNamedDeclaration') {
+            return;
+        }
+        let exports = [];
+        const decl = child.declaration;
+        if (decl != null && decl.id != null && decl.id.type === 'Identifier') {
+            exports.push({name: decl.id.name, node: decl.id});
+        }
+        for (let specifier of child.specifiers) {
+            if (specifier.type === 'ExportSpecifier' && specifier.exported.type === 'Identifier') {
+                exports.push({name: specifier.exported.name, node: specifier.exported});
+            }
+        }
+
+        const prev = i > 0 ? ast.body[i - 1] : null;
+        const next = i + 1 < ast.body.length ? ast.body[i + 1] : null;
+        let comments = [];
+        // Comments above the statement until a blank line, except the ones after the previous statement on its line
+        let line = child.loc.start.line;
+        for (let j = ast.comments.length - 1; j >= 0; j--) {
+            const comment = ast.comments[j];
+            if (comment.range[0] >= child.range[0]) {
+                continue;
+            }
+            if (comment.loc.end.line < line - 1 ||
+                    (prev != null && (comment.range[0] < prev.range[1] || comment.loc.start.line === prev.loc.end.line))) {
+                break;
+            }
+            comments.push(comment.value);
+            line = comment.loc.start.line;
+        }
+        for (let comment of ast.comments) {
+            if (comment.range[0] >= child.range[1] && comment.loc.start.line === child.loc.end.line &&
+                    (next == null || comment.range[0] < next.range[0])) {
+                comments.push(comment.value);
+            }
+        }
+        res.push({exports, comments});
+    });
+    return res;
+}
+
+// Returns a function that tells whether a validator is generated for the type exported as `name` from the source
+// file `ast`.
+// Types are selected by the `include` and `exclude` options, and by the pragmas in the comments above the export
+// statements: `@jsonschema-ignore` skips the types, and if any statement has `@jsonschema`, only the types exported
+// by such statements are selected.
+function typeSelector(ast, opts/*: Options*/)/*: (name: string) => boolean*/ {
+    const include = (opts.include || []).map(namePatternToRegExp);
+    const exclude = (opts.exclude || []).map(namePatternToRegExp);
+
+    let ignored = new Set();
+    let marked = new Set();
+    for (let {exports, comments} of exportStatements(ast)) {
+        if (comments.some(comment => /@jsonschema-ignore\b/.test(comment))) {
+            exports.forEach(({name}) => ignored.add(name));
+        } else if (comments.some(comment => /@jsonschema(?![-\w])/.test(comment))) {
+            exports.forEach(({name}) => marked.add(name));
+        }
+    }
+
+    return (name) => {
+        if (ignored.has(name) || (marked.size !== 0 && !marked.has(name))) {
+            return false;
+        }
+        if (include.length !== 0 && !include.some(re => re.test(name))) {
+            return false;
+        }
+        return !exclude.some(re => re.test(name));
+    };
+}
+
 // For flow <0.89
-async function makeSchemaFlow88(path) {
+async function makeSchemaFlow88(path, run/*: RunContext*/) {
     let jsonSchema = {};
     let flowSource = {};
 
-    let typedefsrc = await callFlow(['gen-flow-files', '--quiet', path]);
-    let ast = flowParser.parse(typedefsrc);
+    let typedefsrc = await callFlow(run.flow, ['gen-flow-files', '--quiet', path]);
+    let ast = flowParser.parse(typedefsrc, {enums: true});
     assert(ast.type === 'Program');
     if (ast.errors.length !== 0) {
         throw new Error(`failed to parse source ${path}: ${JSON.stringify(ast.errors)}`);
@@ -303,7 +1671,7 @@ async function makeSchemaFlow88(path) {
     for (let child of ast.body) {
         if (child.type === 'ExportNamedDeclaration' && child.exportKind === 'type') {
             let decl = child.declaration;
-            if (decl.type === 'TypeAlias' && decl.id.type === 'Identifier') {
+            if (decl.type === 'TypeAlias' && decl.id.type === 'Identifier' && run.selected(decl.id.name)) {
                 let name = decl.id.name;
                 let desc = decl.right;
                 try {
@@ -312,7 +1680,7 @@ async function makeSchemaFlow88(path) {
                     flowSource[name] = typedefsrc.slice(child.range[0], child.range[1]);
                 } catch (exc) {
                     if (exc instanceof UnsupportedTypeError) {
-                        console.warn('Skipping type ' + name + ': ' + exc.message);
+                        skipType(run, name, exc);
                     } else {
                         throw exc;
                     }
@@ -331,17 +1699,33 @@ type TypeDefnInfo = {|
     src: string,
     // Flow AST for `src`.
     ast: any,
+    // The whole output of flow that `ast` is parsed from.
+    // e.g.) `type A = 3`
+    aliasSrc: string,
+    // Type parameters of the type alias, if it is generic.
+    typeParameters: any,
+|};
+
+// How flow is asked for the types and the modules of the source files
+type FlowQueries = {|
+    // Returns the type at the given position like `flowTypeAtPos`.
+    typeAtPos: (path: string, line: number, col: number) => Promise<TypeDefnInfo>,
+    findModule: (request: string, fromPath: string) => Promise<string>,
 |};
 */
 
 // Returns flow type definition at the given position.
-async function flowTypeAtPos(path, line, col)/*: Promise<TypeDefnInfo>*/ {
-    let output = await callFlowAutoRetry(['type-at-pos', '--quiet', '--json', '--expand-type-aliases', path, line, col]);
-    let src = JSON.parse(output).type;
+async function flowTypeAtPos(flow/*: FlowCommand*/, path, line, col)/*: Promise<TypeDefnInfo>*/ {
+    let output = await callFlowAutoRetry(flow, ['type-at-pos', '--quiet', '--json', '--expand-type-aliases', path, line, col]);
+    return parseTypeAtPos(JSON.parse(output).type, `${path} ${line}:${col}`);
+}
+
+// Parses the type alias that flow printed for the position `where`, e.g. `type A = 3`.
+function parseTypeAtPos(src/*: string*/, where/*: string*/)/*: TypeDefnInfo*/ {
     let ast = flowParser.parse(src);
     assert(ast.type === 'Program');
     if (ast.errors.length !== 0) {
-        throw new Error(`failed to parse type at ${path} ${line}:${col}: ${JSON.stringify(ast.errors)}`);
+        throw new Error(`failed to parse type at ${where}: ${JSON.stringify(ast.errors)}`);
     }
 
     assert(ast.body.length === 1);
@@ -351,9 +1735,158 @@ async function flowTypeAtPos(path, line, col)/*: Promise<TypeDefnInfo>*/ {
     return {
         src: typeDefnSrc,
         ast: t.right,
+        aliasSrc: src,
+        typeParameters: t.typeParameters,
     };
 }
 
+// Types that need parentheses when they are put in other types, e.g. in `?T` or `T[]`
+function needsParens(desc)/*: boolean*/ {
+    return ['UnionTypeAnnotation', 'IntersectionTypeAnnotation', 'NullableTypeAnnotation', 'FunctionTypeAnnotation'].includes(desc.type);
+}
+
+// Expands the type aliases in the types that `flow lsp` shows on hover, which are printed like with
+// `flow type-at-pos` but without `--expand-type-aliases`.
+// The aliases are found in the source files, and replaced with the types that flow shows for their declarations.
+// Recursive aliases and enums are left as they are, like flow does.
+class HoverTypeExpander {
+    /*::
+    client: FlowLspClient;
+    resolver: TypeResolver;
+    // declarations of the aliases => the types shown for them, e.g. `type A<T> = {|a: T|}`
+    aliases: Map<any, Promise<TypeDefnInfo>>;
+    */
+    constructor(client/*: FlowLspClient*/, resolver/*: TypeResolver*/) {
+        this.client = client;
+        this.resolver = resolver;
+        this.aliases = new Map();
+    }
+
+    // Returns the type at the given position like `flowTypeAtPos`.
+    async typeAtPos(path/*: string*/, line/*: number*/, col/*: number*/)/*: Promise<TypeDefnInfo>*/ {
+        const file = await this.resolver.load(path);
+        const res = await this._hover(path, line, col);
+        let scope = {};
+        for (let param of res.typeParameters != null ? res.typeParameters.params : []) {
+            scope[param.name] = null;
+        }
+        const right = await this._expand(res.aliasSrc, res.ast, file, scope, []);
+        return parseTypeAtPos(res.aliasSrc.slice(0, res.ast.range[0]) + right + res.aliasSrc.slice(res.ast.range[1]), `${path} ${line}:${col}`);
+    }
+
+    async _hover(path/*: string*/, line/*: number*/, col/*: number*/)/*: Promise<TypeDefnInfo>*/ {
+        const src = await this.client.typeAtPos(path, line, col);
+        if (src == null) {
+            throw new Error(`flow lsp: no type at ${path} ${line}:${col}`);
+        }
+        return parseTypeAtPos(src, `${path} ${line}:${col}`);
+    }
+
+    // Returns the source of the type `desc` in `src`, which is declared in `file`, with the aliases in it expanded.
+    // `scope` has the sources of the arguments of the type parameters in scope, or null for the ones that are not
+    // instantiated. `stack` has the declarations of the aliases that are being expanded.
+    async _expand(src/*: string*/, desc/*: Object*/, file/*: SourceFile*/, scope/*: {[name: string]: ?string}*/, stack/*: any[]*/)/*: Promise<string>*/ {
+        let replacements = [];
+        const visit = async (desc) => {
+            if (Array.isArray(desc)) {
+                for (let item of desc) {
+                    await visit(item);
+                }
+                return;
+            }
+            if (desc == null || typeof desc !== 'object') {
+                return;
+            }
+            if (desc.type === 'GenericTypeAnnotation' && desc.id.type === 'Identifier') {
+                const expanded = await this._expandName(src, desc, file, scope, stack);
+                if (expanded != null) {
+                    replacements.push({range: desc.range, src: expanded});
+                    return;
+                }
+            }
+            for (let key of Object.keys(desc)) {
+                if (key !== 'loc' && key !== 'range') {
+                    await visit(desc[key]);
+                }
+            }
+        };
+        await visit(desc);
+        // The properties of objects are visited before their indexers, wherever they are.
+        replacements.sort((a, b) => a.range[0] - b.range[0]);
+        let res = '';
+        let pos = desc.range[0];
+        for (let replacement of replacements) {
+            res += src.slice(pos, replacement.range[0]) + replacement.src;
+            pos = replacement.range[1];
+        }
+        return res + src.slice(pos, desc.range[1]);
+    }
+
+    // Returns the expansion of the reference to a type `desc`, or null if it is left as it is.
+    async _expandName(src/*: string*/, desc/*: Object*/, file/*: SourceFile*/, scope/*: {[name: string]: ?string}*/, stack/*: any[]*/)/*: Promise<?string>*/ {
+        const name = desc.id.name;
+        if (Object.prototype.hasOwnProperty.call(scope, name)) {
+            return scope[name];
+        }
+        const binding = this._resolve(file, name);
+        if (binding == null || binding.decl.type !== 'TypeAlias' || stack.includes(binding.decl)) {
+            return null;
+        }
+        const alias = await this._alias(binding);
+        const innerStack = [...stack, binding.decl];
+        const args = desc.typeParameters != null ? desc.typeParameters.params : [];
+        let aliasScope = {};
+        for (let [i, param] of (alias.typeParameters != null ? alias.typeParameters.params : []).entries()) {
+            let arg = null;
+            if (i < args.length) {
+                arg = await this._expand(src, args[i], file, scope, stack);
+            } else if (param.default != null) {
+                arg = await this._expand(alias.aliasSrc, param.default, binding.file, aliasScope, innerStack);
+            }
+            const argDesc = i < args.length ? args[i] : param.default;
+            aliasScope[param.name] = arg != null && needsParens(argDesc) ? '(' + arg + ')' : arg;
+        }
+        const body = await this._expand(alias.aliasSrc, alias.ast, binding.file, aliasScope, innerStack);
+        return needsParens(alias.ast) ? '(' + body + ')' : body;
+    }
+
+    // Returns the declaration of the type `name` that flow printed for a type declared in `file`.
+    _resolve(file/*: SourceFile*/, name/*: string*/)/*: ?TypeBinding*/ {
+        try {
+            const binding = this.resolver.resolveLocal(file, name);
+            if (binding != null) {
+                return binding;
+            }
+        } catch (exc) {
+            // The imported types are searched below.
+        }
+        // Flow prints imported types by their original names, e.g. `A` for `import type {A as B} from './a';`.
+        const found = this.resolver.findAliases(name, this.resolver.dependencies(file.path));
+        if (found.length > 1) {
+            throw new UnsupportedTypeError(`type ${name} is ambiguous, it is declared in ${found.map(binding => binding.file.path).join(', ')}`);
+        }
+        return found.length !== 0 ? found[0] : null;
+    }
+
+    _alias(binding/*: TypeBinding*/)/*: Promise<TypeDefnInfo>*/ {
+        let res = this.aliases.get(binding.decl);
+        if (res == null) {
+            const loc = binding.decl.id.loc.start;
+            res = this._hover(binding.file.path, loc.line, loc.column + 1);
+            this.aliases.set(binding.decl, res);
+        }
+        return res;
+    }
+}
+
+// Converts the type definition returned by flow to a schema.
+function parseTypeDefn(defn/*: TypeDefnInfo*/, ctx/*: ?ParseContext*/=null) {
+    if (defn.typeParameters != null) {
+        throw new UnsupportedTypeError('generic types need to be instantiated with type arguments, e.g. `export type A = B<...>`; use --refs to generate validators for the instantiations used by other types');
+    }
+    return parseDesc(defn.ast, ctx);
+}
+
 function searchLocalTypeDecls(ast)/*: {[typeName: string]: {defnLoc: {start: {line: number, column: number}}}}*/ {
     const localTypes = {};
     for (let child of ast.body) {
@@ -378,13 +1911,13 @@ function searchLocalTypeDecls(ast)/*: {[typeName: string]: {defnLoc: {start: {li
     return localTypes;
 }
 
-async function flowTypeByName(path, searchName, recDepth_=0)/*: Promise<TypeDefnInfo>*/ {
+async function flowTypeByName(queries/*: FlowQueries*/, path, searchName, recDepth_=0)/*: Promise<TypeDefnInfo>*/ {
     if (recDepth_ > 5) {
         throw new Error(`max recursion limit exceeded: ${recDepth_} (searching for ${searchName} in ${path})`);
     }
 
     let typedefsrc = fs.readFileSync(path, 'utf-8');
-    let ast = flowParser.parse(typedefsrc);
+    let ast = flowParser.parse(typedefsrc, {enums: true});
     assert(ast.type === 'Program');
     if (ast.errors.length !== 0) {
         throw new Error(`failed to parse source ${path}: ${JSON.stringify(ast.errors)}`);
@@ -398,7 +1931,7 @@ async function flowTypeByName(path, searchName, recDepth_=0)/*: Promise<TypeDefn
                 // export type Type = ...;
                 let name = decl.id.name;
                 if (name === searchName) {
-                    return flowTypeAtPos(path, decl.id.loc.start.line, decl.id.loc.start.column + 1);
+                    return queries.typeAtPos(path, decl.id.loc.start.line, decl.id.loc.start.column + 1);
                 }
             }
 
@@ -413,122 +1946,708 @@ async function flowTypeByName(path, searchName, recDepth_=0)/*: Promise<TypeDefn
                 }
                 if (child.source != null) {
                     // export type {Type} from '${child.source.value}';
-                    let childSrcPath = (await callFlowAutoRetry(['find-module', '--quiet', child.source.value, path])).trim();
-                    return flowTypeByName(childSrcPath, specifier.local.name, recDepth_ + 1);
+                    let childSrcPath = await queries.findModule(child.source.value, path);
+                    return flowTypeByName(queries, childSrcPath, specifier.local.name, recDepth_ + 1);
                 } else {
                     // export type {Type};
                     const importInfo = localTypes[specifier.local.name];
                     if (importInfo == null) {
-                        console.warn('Skipping type ' + name + ': not a type export');
-                        return null;
+                        throw new UnsupportedTypeError('not a type export', '', nodeLocation(path, specifier));
+                    }
+                    return queries.typeAtPos(path, importInfo.defnLoc.start.line, importInfo.defnLoc.start.column + 1);
+                }
+            }
+        }
+    }
+
+    throw new Error(`type ${searchName} cannot be found in ${path}`);
+}
+
+// Returns whether the module `ast` can export enums, which is only known for sure once its imports are resolved.
+function mayExportEnums(ast)/*: boolean*/ {
+    return ast.body.some(child => {
+        if (child.type === 'EnumDeclaration' || child.type === 'ExportAllDeclaration') {
+            return true;
+        }
+        if (child.type === 'ExportNamedDeclaration') {
+            // export {E} from './enums'; or export type {E} from './enums';
+            return child.declaration == null || child.declaration.type === 'EnumDeclaration';
+        }
+        return child.type === 'ExportDefaultDeclaration' && child.declaration.type === 'EnumDeclaration';
+    });
+}
+
+// Returns whether the type `desc` that flow printed refers to types by name, other than the ones built into flow.
+function refersToTypeNames(desc)/*: boolean*/ {
+    if (Array.isArray(desc)) {
+        return desc.some(refersToTypeNames);
+    }
+    if (desc == null || typeof desc !== 'object') {
+        return false;
+    }
+    if (desc.type === 'GenericTypeAnnotation' && desc.id.type === 'Identifier' && desc.id.name !== 'Array' &&
+        desc.id.name !== '$Exact' && !Object.prototype.hasOwnProperty.call(UTILITY_TYPES, desc.id.name)) {
+        return true;
+    }
+    return Object.keys(desc).some(key => key !== 'loc' && key !== 'range' && refersToTypeNames(desc[key]));
+}
+
+// Returns the enums exported from `file`, including the ones exported only as values with `export {A} from '...';`.
+function exportedEnums(resolver/*: TypeResolver*/, file/*: SourceFile*/)/*: Array<{|name: string, binding: TypeBinding|}>*/ {
+    let res = [];
+    for (let name of Object.keys(file.exportedTypes).concat(Object.keys(file.exportedValues))) {
+        if (res.some(exported => exported.name === name)) {
+            continue;
+        }
+        let binding = null;
+        try {
+            binding = resolver.resolveExport(file, name);
+        } catch (exc) {
+            // Types other than enums are not necessarily resolvable without flow.
+        }
+        if (binding != null && binding.decl.type === 'EnumDeclaration') {
+            res.push({name, binding});
+        }
+    }
+    return res;
+}
+
+// Returns the resolver in `opts.cache` for the modules found by `kind`, or a new one if there is no cache.
+function typeResolver(opts/*: Options*/, kind/*: string*/, findModule/*: (request: string, fromPath: string) => Promise<string>*/)/*: TypeResolver*/ {
+    const cache = opts.cache;
+    const concurrency = opts.concurrency != null ? opts.concurrency : 3;
+    if (cache == null) {
+        return new TypeResolver(findModule, concurrency);
+    }
+    let resolver = cache.get(kind);
+    if (resolver == null) {
+        resolver = new TypeResolver(findModule, concurrency);
+        cache.set(kind, resolver);
+    }
+    return resolver;
+}
+
+// For flow >=0.89
+async function makeSchemaFlow89(path, concurrency/*: number*/, resolver/*: TypeResolver*/, queries/*: FlowQueries*/, run/*: RunContext*/) {
+    let jsonSchema = {};
+    let flowSource = {};
+
+    let typedefsrc = fs.readFileSync(path, 'utf-8');
+    let ast = flowParser.parse(typedefsrc, {enums: true});
+    assert(ast.type === 'Program');
+    if (ast.errors.length !== 0) {
+        throw new Error(`failed to parse source ${path}: ${JSON.stringify(ast.errors)}`);
+    }
+
+    // Flow does not expand enums, so they are read from the source files and referenced with `$ref`.
+    // The files are loaded only if there can be enums, since resolving their imports launches flow for each of them.
+    const builder = new DefinitionBuilder(resolver, true);
+    const usedKeys = new Set();
+    const usedFlowKeys = new Set();
+    const exportedFlowKeys = new Set();
+    let file = null;
+    let enumExports = [];
+    let loading = null;
+    const loadSourceFiles = function()/*: Promise<SourceFile>*/ {
+        if (loading == null) {
+            loading = resolver.load(path).then(loaded => {
+                file = loaded;
+                // Nothing is defined before the files are loaded, so the exported names are still free.
+                enumExports = exportedEnums(resolver, loaded);
+                for (let {name, binding} of enumExports) {
+                    builder.reserve(binding, name);
+                }
+                for (let name of Object.keys(loaded.exportedTypes)) {
+                    if (!builder.usedKeys.has(name)) {
+                        builder.reserve(null, name);
                     }
-                    return flowTypeAtPos(path, importInfo.defnLoc.start.line, importInfo.defnLoc.start.column + 1);
                 }
+                return loaded;
+            });
+        }
+        return loading;
+    };
+    if (mayExportEnums(ast)) {
+        await loadSourceFiles();
+    }
+
+    const useDefinitions = function(ctx) {
+        for (let key of ctx.refs) {
+            builder.reachable(key).forEach(key => usedKeys.add(key));
+        }
+        for (let rename of ctx.renames) {
+            if (rename.flowKey != null) {
+                builder.reachableDeclarations(rename.flowKey).forEach(flowKey => usedFlowKeys.add(flowKey));
+            }
+        }
+    }
+
+    const processTypeDefn = async function(name, res) {
+        // Flow prints the types that it does not expand, i.e. enums, by their names.
+        const loaded = refersToTypeNames(res.ast) ? await loadSourceFiles() : null;
+        const ctx = loaded != null ? {
+            file: loaded,
+            builder,
+            typeParams: {},
+            renames: [],
+            refs: [],
+            inSource: false,
+        } : null;
+        const schema = parseTypeDefn(res, ctx);
+        let renames = [];
+        if (ctx != null) {
+            useDefinitions(ctx);
+            renames = ctx.renames;
+        }
+        jsonSchema[name] = schema;
+        flowSource[name] = `export type ${name} = ${applyRenames(res.aliasSrc, res.ast.range, renames)};`;
+    }
+
+    for (let {name, binding} of enumExports) {
+        // export enum Enum {...}
+        if (!run.selected(name)) {
+            continue;
+        }
+        try {
+            const key = builder.define(binding);
+            usedKeys.add(key);
+            jsonSchema[name] = {
+                $ref: DEFINITIONS_PREFIX + key,
+            };
+            if (key === name) {
+                exportedFlowKeys.add(key);
+                flowSource[name] = `export type ${builder.declarationSources[key]};`;
+            } else {
+                usedFlowKeys.add(key);
+                flowSource[name] = `export type ${name} = ${key};`;
+            }
+        } catch (exc) {
+            if (exc instanceof UnsupportedTypeError) {
+                skipType(run, name, exc, nodeLocation(binding.file.path, binding.decl));
+            } else {
+                throw exc;
+            }
+        }
+    }
+
+    const processTypeAlias = async function(decl) {
+        // export type Type = ...;
+        const name = decl.id.name;
+        try {
+            const res = await queries.typeAtPos(path, decl.id.loc.start.line, decl.id.loc.start.column + 1);
+            await processTypeDefn(name, res);
+        } catch (exc) {
+            if (exc instanceof UnsupportedTypeError) {
+                skipType(run, name, exc, nodeLocation(path, decl));
+            } else {
+                throw exc;
+            }
+        }
+    }
+
+    const processExportSpecifier = async function(child, specifier) {
+        assert(specifier.exported.type === 'Identifier');
+        const name = specifier.exported.name;
+        try {
+            let res;
+            if (child.source != null) {
+                // export type {Type} from '${child.source.value}';
+                let childSrcPath = await queries.findModule(child.source.value, path);
+                res = await flowTypeByName(queries, childSrcPath, specifier.local.name);
+            } else {
+                // export type {Type};
+                const importInfo = localTypes[specifier.local.name];
+                if (importInfo == null) {
+                    skipType(run, name, 'not a type export', nodeLocation(path, specifier));
+                    return;
+                }
+                res = await queries.typeAtPos(path, importInfo.defnLoc.start.line, importInfo.defnLoc.start.column + 1);
+            }
+            await processTypeDefn(name, res);
+        } catch (exc) {
+            if (exc instanceof UnsupportedTypeError) {
+                skipType(run, name, exc, nodeLocation(path, specifier));
+            } else {
+                throw exc;
+            }
+        }
+    }
+
+    let localTypes = searchLocalTypeDecls(ast);
+    const jobs = [];
+    for (let child of ast.body) {
+        if (child.type === 'ExportNamedDeclaration' && child.exportKind === 'type') {
+            let decl = child.declaration;
+            if (decl != null && decl.type === 'TypeAlias' && decl.id.type === 'Identifier' && run.selected(decl.id.name)) {
+                jobs.push(processTypeAlias.bind(null, decl));
+            }
+
+            for (let specifier of child.specifiers) {
+                if (specifier.type !== 'ExportSpecifier' || !run.selected(specifier.exported.name)) {
+                    continue;
+                }
+                if (enumExports.some(exported => exported.name === specifier.exported.name)) {
+                    // export type {Enum} from './enums'; is done above.
+                    continue;
+                }
+                jobs.push(processExportSpecifier.bind(null, child, specifier));
             }
         }
     }
+    await async.eachLimit(jobs, concurrency, async (fn) => fn());
 
-    throw new Error(`type ${searchName} cannot be found in ${path}`);
+    let definitions = {};
+    for (let key of Array.from(usedKeys).sort()) {
+        definitions[key] = builder.definitions[key];
+    }
+    let definitionSources = {};
+    for (let flowKey of Array.from(usedFlowKeys).sort()) {
+        if (!exportedFlowKeys.has(flowKey)) {
+            definitionSources[flowKey] = `type ${builder.declarationSources[flowKey]};`;
+        }
+    }
+
+    // The imported files are found later if they are needed.
+    return [jsonSchema, flowSource, definitions, definitionSources, file != null ? resolver.dependencies(path) : null];
 }
 
-// For flow >=0.89
-async function makeSchemaFlow89(path) {
+// Reads type declarations directly from the source files instead of expanding them with flow,
+// so that every type alias becomes a definition referenced with `$ref`.
+async function makeSchemaRefs(path, resolver/*: TypeResolver*/, run/*: RunContext*/) {
     let jsonSchema = {};
     let flowSource = {};
 
-    const processTypeAlias = async function(decl) {
-        // export type Type = ...;
-        const name = decl.id.name;
-        const res = await flowTypeAtPos(path, decl.id.loc.start.line, decl.id.loc.start.column + 1);
-        const desc = res.ast;
+    const file = await resolver.load(path);
+    const builder = new DefinitionBuilder(resolver);
+
+    const exports = [];
+    for (let name of Object.keys(file.exportedTypes)) {
+        if (!run.selected(name)) {
+            continue;
+        }
+        const binding = resolver.resolveExport(file, name);
+        if (binding == null) {
+            skipType(run, name, 'not a type export');
+            continue;
+        }
+        builder.reserve(binding, name);
+        exports.push({name, binding});
+    }
+    for (let {name, binding} of exportedEnums(resolver, file)) {
+        if (!builder.usedKeys.has(name) && run.selected(name)) {
+            // export {Enum} from '...';
+            builder.reserve(binding, name);
+            exports.push({name, binding});
+        }
+    }
+
+    const usedKeys = new Set();
+    const usedFlowKeys = new Set();
+    const exportedFlowKeys = new Set();
+    const genericExports = [];
+    for (let {name, binding} of exports) {
+        if (binding.decl.typeParameters != null) {
+            // Validators are generated for the instantiations of the type instead.
+            genericExports.push({name, binding});
+            continue;
+        }
+        let key;
+        let reachable;
         try {
-            const schema = parseDesc(desc);
-            jsonSchema[name] = schema;
-            flowSource[name] = `export type ${name} = ${res.src};`;
+            key = builder.define(binding);
+            reachable = builder.reachable(key);
         } catch (exc) {
             if (exc instanceof UnsupportedTypeError) {
-                console.warn('Skipping type ' + name + ': ' + exc.message);
+                skipType(run, name, exc, nodeLocation(binding.file.path, binding.decl));
+                continue;
             } else {
                 throw exc;
             }
         }
+        reachable.forEach(key => usedKeys.add(key));
+        builder.reachableDeclarations(key).forEach(flowKey => usedFlowKeys.add(flowKey));
+        jsonSchema[name] = {
+            $ref: DEFINITIONS_PREFIX + key,
+        };
+        if (key === name) {
+            exportedFlowKeys.add(key);
+            flowSource[name] = `export type ${builder.declarationSources[key]};`;
+        } else {
+            flowSource[name] = `export type ${name} = ${key};`;
+        }
     }
 
-    const processExportSpecifier = async function(child, specifier) {
-        assert(specifier.exported.type === 'Identifier');
-        const name = specifier.exported.name;
-        let res;
-        if (child.source != null) {
-            // export type {Type} from '${child.source.value}';
-            let childSrcPath = (await callFlowAutoRetry(['find-module', '--quiet', child.source.value, path])).trim();
-            res = await flowTypeByName(childSrcPath, specifier.local.name);
-        } else {
-            // export type {Type};
-            const importInfo = localTypes[specifier.local.name];
-            if (importInfo == null) {
-                console.warn('Skipping type ' + name + ': not a type export');
-                return;
+    // Export the instantiations of exported generic types that are used by the other exported types,
+    // unless they are already exported as e.g. `export type UserPage = Page<User>;`.
+    const aliasedKeys = new Set(Object.keys(jsonSchema).map(name => {
+        const ref = builder.definitions[jsonSchema[name].$ref.slice(DEFINITIONS_PREFIX.length)].$ref;
+        return ref != null ? ref.slice(DEFINITIONS_PREFIX.length) : null;
+    }));
+    for (let {name, binding} of genericExports) {
+        const flowKey = builder.flowKey(binding.decl);
+        let found = false;
+        for (let key of Array.from(usedKeys).sort()) {
+            const instanceSrc = builder.instanceSources[key];
+            if (instanceSrc == null || !instanceSrc.startsWith(flowKey + '<')) {
+                continue;
+            }
+            found = true;
+            if (jsonSchema[key] == null && !aliasedKeys.has(key)) {
+                jsonSchema[key] = {
+                    $ref: DEFINITIONS_PREFIX + key,
+                };
+                flowSource[key] = `export type ${key} = ${instanceSrc};`;
             }
-            res = await flowTypeAtPos(path, importInfo.defnLoc.start.line, importInfo.defnLoc.start.column + 1);
         }
-        const desc = res.ast;
+        if (!found) {
+            skipType(run, name, 'generic types need to be instantiated with type arguments, e.g. `export type A = ' + name + '<...>`',
+                nodeLocation(binding.file.path, binding.decl));
+        }
+    }
+
+    let definitions = {};
+    for (let key of Array.from(usedKeys).sort()) {
+        definitions[key] = builder.definitions[key];
+    }
+    let definitionSources = {};
+    for (let flowKey of Array.from(usedFlowKeys).sort()) {
+        if (!exportedFlowKeys.has(flowKey)) {
+            definitionSources[flowKey] = `type ${builder.declarationSources[flowKey]};`;
+        }
+    }
+
+    return [jsonSchema, flowSource, definitions, definitionSources, resolver.dependencies(path)];
+}
+
+// Replaces the references in `schema` with the definitions they refer to.
+function inlineRefs(schema, definitions/*: {[key: string]: Object}*/, stack_/*: string[]*/=[]) {
+    if (Array.isArray(schema)) {
+        return schema.map(subschema => inlineRefs(subschema, definitions, stack_));
+    } else if (schema == null || typeof schema !== 'object') {
+        return schema;
+    }
+    if (typeof schema.$ref === 'string') {
+        const key = schema.$ref.slice(DEFINITIONS_PREFIX.length);
+        if (stack_.includes(key)) {
+            throw new UnsupportedTypeError(`recursive type ${key} is only supported with --refs`);
+        }
+        return inlineRefs(definitions[key], definitions, stack_.concat([key]));
+    }
+    let res = {};
+    for (let key of Object.keys(schema)) {
+        res[key] = inlineRefs(schema[key], definitions, stack_);
+    }
+    return res;
+}
+
+/*::
+type Tag = {|
+    type: string,
+    values: Array<string | number | boolean>,
+|};
+*/
+
+// Returns the literal values of `schema` if it is a literal type or a union of literal types of the same type.
+function literalTag(schema, definitions/*: {[key: string]: Object}*/)/*: ?Tag*/ {
+    schema = resolveDefinition(schema, definitions);
+    if (schema.anyOf != null) {
+        return combineTags(schema.anyOf.map(subschema => literalTag(subschema, definitions)));
+    }
+    if (typeof schema.type !== 'string' || schema.enum == null || Object.keys(schema).length !== 2) {
+        return null;
+    }
+    return {type: schema.type, values: schema.enum};
+}
+
+// Returns the values that the required property `key` has in the objects that `schema` accepts, if they are literals.
+function propertyTag(schema, key/*: string*/, definitions/*: {[key: string]: Object}*/)/*: ?Tag*/ {
+    schema = resolveDefinition(schema, definitions);
+    if (schema.anyOf != null) {
+        return combineTags(schema.anyOf.map(subschema => propertyTag(subschema, key, definitions)));
+    }
+    if (schema.type !== 'object' || schema.properties == null || schema.required == null || !schema.required.includes(key)) {
+        return null;
+    }
+    return literalTag(schema.properties[key], definitions);
+}
+
+// Returns the tag of a union of the types of `tags`, or null if any of them has no tag, or they are of different types.
+function combineTags(tags/*: Array<?Tag>*/)/*: ?Tag*/ {
+    let res = null;
+    for (let tag of tags) {
+        if (tag == null || (res != null && tag.type !== res.type)) {
+            return null;
+        }
+        res = {type: tag.type, values: res != null ? [...res.values, ...tag.values] : tag.values};
+    }
+    return res;
+}
+
+function resolveDefinition(schema, definitions/*: {[key: string]: Object}*/) {
+    while (typeof schema.$ref === 'string') {
+        schema = definitions[schema.$ref.slice(DEFINITIONS_PREFIX.length)];
+    }
+    return schema;
+}
+
+// Returns the property that tells the members of a union of object types apart, with its values in each member, or
+// null if there is no property that every member requires and that has different literal values in each member.
+function unionDiscriminator(members/*: Object[]*/, definitions/*: {[key: string]: Object}*/)/*: ?{|key: string, tags: Tag[]|}*/ {
+    let first = resolveDefinition(members[0], definitions);
+    while (first.anyOf != null) {
+        first = resolveDefinition(first.anyOf[0], definitions);
+    }
+    if (members.length < 2 || first.type !== 'object' || first.properties == null) {
+        return null;
+    }
+    for (let key of Object.keys(first.properties)) {
+        const tags = members.map(member => propertyTag(member, key, definitions)).filter(Boolean);
+        const union = combineTags(tags);
+        if (tags.length === members.length && union != null && new Set(union.values).size === union.values.length) {
+            return {key, tags};
+        }
+    }
+    return null;
+}
+
+// Replaces the unions of object types that are told apart by a literal property, such as disjoint unions, with
+// `if`/`then` chains that dispatch on the property, so that values are validated only against the member they are
+// tagged with, and an unknown tag is reported as such.
+function discriminateUnions(schema, definitions/*: {[key: string]: Object}*/) {
+    if (Array.isArray(schema)) {
+        return schema.map(subschema => discriminateUnions(subschema, definitions));
+    } else if (schema == null || typeof schema !== 'object') {
+        return schema;
+    }
+    let res = {};
+    for (let key of Object.keys(schema)) {
+        res[key] = discriminateUnions(schema[key], definitions);
+    }
+    if (!Array.isArray(res.anyOf) || Object.keys(res).length !== 1) {
+        return res;
+    }
+    const discriminator = unionDiscriminator(res.anyOf, definitions);
+    if (discriminator == null) {
+        return res;
+    }
+    const {key, tags} = discriminator;
+    // The last member is tested for its tag as well, so that values with unknown tags only fail the check of the tag.
+    let chain = null;
+    for (let i = res.anyOf.length - 1; i >= 0; i--) {
+        let link/*: Object*/ = {
+            if: {
+                type: 'object',
+                properties: {
+                    [key]: {
+                        enum: tags[i].values,
+                    },
+                },
+            },
+            then: res.anyOf[i],
+        };
+        if (chain != null) {
+            link.else = chain;
+        }
+        chain = link;
+    }
+    return Object.assign({
+        type: 'object',
+        required: [key],
+        properties: {
+            [key]: {
+                type: tags[0].type,
+                enum: [].concat(...tags.map(tag => tag.values)),
+            },
+        },
+    }, chain);
+}
+
+// Reads types from the source files, and expands them into the same schemas as the ones flow expands.
+// Modules are resolved by the `findModule` of `resolver`.
+async function makeSchemaAst(path, refs/*: boolean*/, resolver/*: TypeResolver*/, run/*: RunContext*/) {
+    const [refSchemas, flowSource, definitions, definitionSources, sourcePaths] = await makeSchemaRefs(path, resolver, run);
+    if (refs) {
+        return [refSchemas, flowSource, definitions, definitionSources, sourcePaths];
+    }
+
+    let jsonSchema = {};
+    for (let name of Object.keys(refSchemas)) {
         try {
-            let schema = parseDesc(desc);
-            jsonSchema[name] = schema;
-            flowSource[name] = `export type ${name} = ${res.src};`;
+            jsonSchema[name] = inlineRefs(refSchemas[name], definitions);
         } catch (exc) {
             if (exc instanceof UnsupportedTypeError) {
-                console.warn('Skipping type ' + name + ': ' + exc.message);
+                skipType(run, name, exc);
+                delete flowSource[name];
             } else {
                 throw exc;
             }
         }
     }
+    // The declarations of the types that exported types refer to are still needed in the flow source.
+    return [jsonSchema, flowSource, {}, definitionSources, sourcePaths];
+}
 
-    let typedefsrc = fs.readFileSync(path, 'utf-8');
-    let ast = flowParser.parse(typedefsrc);
-    assert(ast.type === 'Program');
-    if (ast.errors.length !== 0) {
-        throw new Error(`failed to parse source ${path}: ${JSON.stringify(ast.errors)}`);
+// Asks flow for the types like the default mode, but through a single `flow lsp` connection instead of launching a
+// flow command for each of them.
+// The modules are found like with `resolver: 'ast'`, since flow does not resolve the imports in comments, e.g.
+// `/*:: import type {A} from './a'; */`, for the clients of the connection.
+async function makeSchemaLsp(path, opts/*: Options*/, run/*: RunContext*/) {
+    const moduleResolver = new ModuleResolver();
+    const findModule = (request, fromPath) => moduleResolver.findModule(request, fromPath);
+    const resolver = typeResolver(opts, 'ast', findModule);
+    if (opts.refs === true) {
+        // The type aliases are read from the source files like with `refs` in the default mode.
+        return makeSchemaRefs(path, resolver, run);
     }
-
-    let localTypes = searchLocalTypeDecls(ast);
-    const jobs = [];
-    for (let child of ast.body) {
-        if (child.type === 'ExportNamedDeclaration' && child.exportKind === 'type') {
-            let decl = child.declaration;
-            if (decl != null && decl.type === 'TypeAlias' && decl.id.type === 'Identifier') {
-                jobs.push(processTypeAlias.bind(null, decl));
-            }
-
-            for (let specifier of child.specifiers) {
-                if (specifier.type !== 'ExportSpecifier') {
-                    continue;
-                }
-                jobs.push(processExportSpecifier.bind(null, child, specifier));
-            }
+    const lspClient = opts.lspClient;
+    const client = lspClient != null ? lspClient : await connectFlowLsp(path, opts);
+    try {
+        const expander = new HoverTypeExpander(client, resolver);
+        const queries = {
+            typeAtPos: (path, line, col) => expander.typeAtPos(path, line, col),
+            findModule,
+        };
+        return await makeSchemaFlow89(path, opts.concurrency != null ? opts.concurrency : 3, resolver, queries, run);
+    } finally {
+        if (lspClient == null) {
+            await client.close();
         }
     }
-    await async.eachLimit(jobs, 3, async (fn) => fn());
+}
 
-    return [jsonSchema, flowSource];
+// Connects to the flow server of the project that contains `path` through `flow lsp`.
+// The connection can be passed as the `lspClient` option to be reused, and needs to be closed with `close()`.
+async function connectFlowLsp(path/*: string*/, opts/*: Options*/={})/*: Promise<FlowLspClient>*/ {
+    const root = findFlowRoot(pathlib.dirname(inputPath(path, opts)));
+    const logger = opts.logger;
+    if (root == null) {
+        throw new Error(`no .flowconfig found for ${path}`);
+    }
+    const client = new FlowLspClient({
+        flowPath: flowCommand(opts).path,
+        root,
+        concurrency: opts.concurrency != null ? opts.concurrency : 3,
+        timeout: opts.timeout != null ? opts.timeout : 30000,
+        log: logger != null ? message => logger('info', message) : undefined,
+    });
+    await client.start();
+    return client;
 }
 
-async function flowVersionGte89() {
-    let output = await callFlow(['version', '--', '--json']);
+async function flowVersionGte89(opts/*: Options*/={}) {
+    let output = await callFlow(flowCommand(opts), ['version', '--', '--json']);
     let ver = JSON.parse(output).semver;
     return semver.gte(ver, '0.89.0');
 }
 
-async function makeSchema(path) {
-    console.warn(`Processing ${path}...`);
+function consoleLogger(level/*: 'info' | 'warning'*/, message/*: string*/) {
+    console.warn(message);
+}
+
+// Returns `path` resolved in the `cwd` option if it is set.
+function inputPath(path/*: string*/, opts/*: Options*/)/*: string*/ {
+    return opts.cwd != null ? pathlib.resolve(opts.cwd, path) : path;
+}
+
+// Generates the schemas, and returns them with the state of the run.
+// The paths of the source files are found even if the types did not need them when `withSourcePaths` is set.
+async function runMakeSchema(path/*: string*/, opts/*: Options*/, log/*: Logger*/, withSourcePaths/*: boolean*/=false) {
+    path = inputPath(path, opts);
+    log('info', `Processing ${path}...`);
+    const src = fs.readFileSync(path, 'utf-8');
+    const ast = flowParser.parse(src, {enums: true});
+    if (ast.errors.length !== 0) {
+        throw new Error(`failed to parse source ${path}: ${JSON.stringify(ast.errors)}`);
+    }
+    const run = {
+        selected: typeSelector(ast, opts),
+        diagnostics: [],
+        strict: opts.strict === true,
+        flow: flowCommand(opts),
+        log,
+    };
+    const res = await makeSchemaByMode(path, opts, run);
+    if (run.strict && run.diagnostics.length !== 0) {
+        throw new SkippedTypesError(path, run.diagnostics);
+    }
+    // Done last, since the utility types and spreads read the members of unions.
+    const definitions = Object.assign({}, res[2]);
+    for (let schemas of [res[0], res[2] || {}]) {
+        for (let key of Object.keys(schemas)) {
+            schemas[key] = discriminateUnions(schemas[key], definitions);
+        }
+    }
+
+    let sourcePaths = res[4];
+    if (sourcePaths == null && (opts.onSourceFiles != null || withSourcePaths)) {
+        // Flow expands the types without telling which files they come from.
+        const resolver = new TypeResolver((request, fromPath) => flowFindModule(run.flow, request, fromPath),
+            opts.concurrency != null ? opts.concurrency : 3);
+        await resolver.load(path);
+        sourcePaths = resolver.dependencies(path);
+    }
+    if (opts.onSourceFiles != null && sourcePaths != null) {
+        opts.onSourceFiles(sourcePaths);
+    }
+    return {path, ast, res, run, sourcePaths};
+}
+
+// Returns the schemas and the flow declarations of the types exported from the file at `path`,
+// as `[schemas, flow declarations, definitions, flow declarations of the definitions, source paths]`.
+// The last three are missing with flow <0.89 unless `refs` or `resolver: 'ast'` is set, and the source paths are
+// also missing with later versions of flow if the types do not need the imported files, i.e. there are no enums.
+// Progress and skipped types are written to stderr unless the `logger` option is set.
+async function makeSchema(path, opts/*: Options*/={}) {
+    const {res} = await runMakeSchema(path, opts, opts.logger || consoleLogger);
+    return res;
+}
+
+// Generates the schemas of the types exported from the file at `path`.
+// Unlike `makeSchema`, nothing is logged unless the `logger` option is set, since skipped types are returned as
+// diagnostics.
+async function generate(path/*: string*/, opts/*: Options*/={})/*: Promise<GenerateResult>*/ {
+    const {path: srcPath, ast, res, run, sourcePaths} = await runMakeSchema(path, opts, opts.logger || (() => {}), true);
+    const [jsonSchema, flowSource, definitions = {}, definitionSources = {}] = res;
+
+    let locs = {};
+    for (let {exports} of exportStatements(ast)) {
+        for (let {name, node} of exports) {
+            locs[name] = nodeLocation(pathlib.resolve(srcPath), node);
+        }
+    }
+    let types = {};
+    for (let name of Object.keys(jsonSchema).sort()) {
+        types[name] = {
+            schema: jsonSchema[name],
+            flowSource: flowSource[name],
+            loc: locs[name] || null,
+        };
+    }
+    return {
+        types,
+        definitions,
+        definitionSources,
+        sourcePaths: sourcePaths || [],
+        diagnostics: run.diagnostics,
+    };
+}
+
+async function makeSchemaByMode(path, opts/*: Options*/, run/*: RunContext*/) {
+    if (opts.resolver === 'ast') {
+        const moduleResolver = new ModuleResolver();
+        const resolver = typeResolver(opts, 'ast', (request, fromPath) => moduleResolver.findModule(request, fromPath));
+        return makeSchemaAst(path, opts.refs === true, resolver, run);
+    }
+    if (opts.transport === 'lsp') {
+        return makeSchemaLsp(path, opts, run);
+    }
     const t = sleep(1000);
     try {
         t.then(() => {
-            console.warn(`${path}: Waiting for flow to be ready...`);
+            run.log('info', `${path}: Waiting for flow to be ready...`);
         });
         try {
-            await callFlow(['status', '--quiet']);
+            await callFlow(run.flow, ['status', '--quiet']);
         } catch (err) {
             if (err.code === 2) {
                 // `flow status` exited successfully but there were errors in the code.
@@ -540,32 +2659,74 @@ async function makeSchema(path) {
         t.cancel(sleep.ABANDON);
     }
 
-    if (!(await flowVersionGte89())) {
-        return makeSchemaFlow88(path);
+    const findModule = (request, fromPath) => flowFindModule(run.flow, request, fromPath);
+    // Flow resolves modules in the project that it runs in.
+    const kind = `flow ${run.flow.path} ${pathlib.resolve(run.flow.cwd != null ? run.flow.cwd : '.')}`;
+    if (opts.refs === true) {
+        return makeSchemaRefs(path, typeResolver(opts, kind, findModule), run);
     }
-    return makeSchemaFlow89(path);
+    if (!(await flowVersionGte89(opts))) {
+        return makeSchemaFlow88(path, run);
+    }
+    const queries = {
+        typeAtPos: (path, line, col) => flowTypeAtPos(run.flow, path, line, col),
+        findModule,
+    };
+    return makeSchemaFlow89(path, opts.concurrency != null ? opts.concurrency : 3, typeResolver(opts, kind, findModule), queries, run);
 }
 
-async function makeValidatorSrc(srcPath) {
-    let [types, srcs] = await makeSchema(srcPath);
+// Returns the source of the validator module, and of its TypeScript declaration file if `opts.dts` is true.
+async function makeValidatorModule(srcPath, opts/*: Options*/={})/*: Promise<{|src: string, dts: ?string|}>*/ {
+    let [types, srcs, definitions = {}, definitionSrcs = {}] = await makeSchema(srcPath, opts);
     let typeNames = Object.keys(types).sort();
     if (typeNames.length === 0) {
         throw new Error('no types to process');
     }
 
-    let concatFlowDefsSrc = typeNames.map(name => srcs[name]).join('\n');
+    let concatFlowDefsSrc = [
+        ...Object.keys(definitionSrcs).sort().map(key => definitionSrcs[key]),
+        ...typeNames.map(name => srcs[name]),
+    ].join('\n');
+    let hasDefinitions = Object.keys(definitions).length !== 0;
+    // Tells whether the types or only the generator changed when the file is regenerated.
+    let typesHash = crypto.createHash('sha256').update(concatFlowDefsSrc).digest('hex').slice(0, 16);
+
+    const esm = opts.esm === true;
+    const parse = opts.parse === true;
+    const sanitize = opts.sanitize === true;
+    const reports = opts.reports === true;
+    // Lets bundlers drop the top-level values that no remaining function uses.
+    const pure = esm ? '/*#__PURE__*/ ' : '';
+    let imports = [];
+    if (opts.browser !== true) {
+        imports.push(esm ? `import assert from 'assert';` : `const assert = require('assert');`);
+    }
+    if (opts.precompile !== true) {
+        imports.push(`${esm ? `import Ajv from 'ajv';` : `const Ajv = require('ajv');`}
+const ajvDefault = ${pure}new Ajv();
+const ajvAllErrors = ${pure}new Ajv({allErrors: true});${parse ? `
+const ajvCoerce = ${pure}new Ajv({coerceTypes: 'array'});
+const ajvCoerceAllErrors = ${pure}new Ajv({coerceTypes: 'array', allErrors: true});` : ''}`);
+    }
+    if (opts.browser === true) {
+        imports.push(`// Node's assert, which browsers lack
+function assert(cond/*: boolean*/) {
+    if (!cond) {
+        throw new Error('assertion failed');
+    }
+}`);
+    }
+    const exportKeyword = esm ? 'export ' : '';
 
     let src = [];
     src.push(`//@flow
-'use strict';
-/* eslint-disable */
+${esm ? '' : `'use strict';
+`}/* eslint-disable */
 // Generated by flow-jsonschema from ${srcPath}.
 // DO NOT EDIT.
+// Flow types hash: ${typesHash}
 
-const assert = require('assert');
-const Ajv = require('ajv');
-const ajvDefault = new Ajv();
-const ajvAllErrors = new Ajv({allErrors: true});
+${imports.join('\n')}
 
 /*::
 ${concatFlowDefsSrc}
@@ -582,14 +2743,20 @@ export type ValidationErrorDesc = {|
 |};
 */
 
-class ValidationError extends Error {
+${exportKeyword}class ValidationError extends Error {
     /*::
     typeName: string;
-    errors: ValidationErrorDesc[];
+    errors: ValidationErrorDesc[];${reports ? `
+    failures: ValidationFailure[];` : ''}
     */
-    constructor(typeName/*: string*/, errors/*: ValidationErrorDesc[]*/) {
-        let msg/*: string*/;
-        if (errors.length > 0) {
+    constructor(typeName/*: string*/, errors/*: ValidationErrorDesc[]*/${reports ? ', value/*: mixed*/, schema/*: ?Object*/=null' : ''}) {
+        let msg/*: string*/;${reports ? `
+        // Reported in flow terms if the schema of the type tells what is wrong
+        const failures = schema != null ? validationFailures(schema, typeName, value) : [];
+        if (failures.length > 0) {
+            msg = failures[0].path + ': ' + failures[0].message;
+        } else if (errors.length > 0) {` : `
+        if (errors.length > 0) {`}
             const err = errors[0];
             msg = typeName + err.dataPath + ': ' + err.message;
             if (err.params.additionalProperty) {
@@ -600,22 +2767,87 @@ class ValidationError extends Error {
         }
         super(msg);
         this.typeName = typeName;
-        this.errors = errors;
+        this.errors = errors;${reports ? `
+        this.failures = failures;` : ''}
+    }
+}
+`);
+    if (reports) {
+        src.push(reportSrc(exportKeyword));
     }
+    if (parse || sanitize) {
+        src.push(`// Copies the arrays and objects in \`data\`.
+function cloneData(data/*: mixed*/)/*: any*/ {
+    if (Array.isArray(data)) {
+        return data.map(cloneData);
+    } else if (data !== null && typeof data === 'object') {
+        let res = {};
+        for (const key of Object.keys(data)) {
+            res[key] = cloneData(data[key]);
+        }
+        return res;
+    }
+    return data;
 }
+`);
+    }
 
-let g_validators = {};
+    let functionNames = {};
+    let coercingFunctionNames = {};
+    let sanitizingFunctionNames = {};
+    if (opts.precompile === true) {
+        // The same validation as ajv's, compiled ahead of time.
+        let compiled = compileValidators(types, definitions, {pure: esm, coerce: parse, sanitize});
+        functionNames = compiled.functionNames;
+        coercingFunctionNames = compiled.coercingFunctionNames;
+        sanitizingFunctionNames = compiled.sanitizingFunctionNames;
+        src.push(compiled.src);
+    } else {
+        if (sanitize) {
+            // Sanitizing needs no ajv, since the values are validated first.
+            let compiled = compileValidators(types, definitions, {pure: esm, validate: false, sanitize});
+            sanitizingFunctionNames = compiled.sanitizingFunctionNames;
+            src.push(compiled.src);
+        }
+        src.push(`let g_validators = {};
 let g_validatorsAllErrors = {};
 `);
+        if (parse) {
+            src.push(`let g_parsers = {};
+let g_parsersAllErrors = {};
+`);
+        }
+    }
+    // The precompiled validators need the schemas only for the reports.
+    if (hasDefinitions && (opts.precompile !== true || reports)) {
+        let definitionsJson = JSON.stringify(definitions, null, 4);
+        src.push(`// Types referenced by the schemas with \`$ref\`.
+const schemaDefinitions = ${definitionsJson};
+`);
+    }
 
     for (let name of typeNames) {
         let nameJson = JSON.stringify(name);
-        let schemaJson = JSON.stringify(types[name], null, 4);
         let checkFuncName = 'check' + name;
         let assertFuncName = 'assert' + name;
-        src.push(`// Checks whether \`val\` is a valid ${name}.
-function ${checkFuncName}(val/*: ${name}*/, opts/*: ValidationOptions*/={})/*: boolean*/ {
-    const ajv = opts.allErrors !== true ? ajvDefault : ajvAllErrors;
+        let schemaJson = JSON.stringify(types[name], null, 4);
+        if (hasDefinitions) {
+            schemaJson = `${pure}Object.assign({}, ${schemaJson}, {definitions: schemaDefinitions})`;
+        }
+        if ((parse && opts.precompile !== true) || reports) {
+            // Shared by checkX, parseX and the errors that they throw
+            src.push(`const schema_${name} = ${schemaJson};
+`);
+            schemaJson = `schema_${name}`;
+        }
+        let checkBody;
+        if (opts.precompile === true) {
+            checkBody = `    let errors = [];
+    let ret = ${functionNames[name]}(val, '', errors, opts.allErrors === true);
+    (${checkFuncName}/*: any*/).errors = ret ? null : errors;
+    return ret;`;
+        } else {
+            checkBody = `    const ajv = opts.allErrors !== true ? ajvDefault : ajvAllErrors;
     const validators = opts.allErrors !== true ? g_validators : g_validatorsAllErrors;
 
     let validator = validators[${nameJson}];
@@ -628,41 +2860,288 @@ function ${checkFuncName}(val/*: ${name}*/, opts/*: ValidationOptions*/={})/*: b
     assert(typeof ret === 'boolean');
     let errors/*: ?Array<ValidationErrorDesc>*/ = (validator/*: any*/).errors;
     (${checkFuncName}/*: any*/).errors = errors;
-    return ret;
+    return ret;`;
+        }
+        src.push(`// Checks whether \`val\` is a valid ${name}.
+${exportKeyword}function ${checkFuncName}(val/*: mixed*/, opts/*: ValidationOptions*/={})/*: boolean*/ {
+${checkBody}
 };
 
 // Checks whether \`val\` is a valid ${name}.
-// @returns \`val\` as is if it's a valid ${name}, throws if not.
-function ${assertFuncName}(val/*: ${name}*/, opts/*: ValidationOptions*/={})/*: ${name}*/ {
+// @returns \`val\` typed as ${name} if it's a valid ${name}, throws if not.
+${exportKeyword}function ${assertFuncName}(val/*: mixed*/, opts/*: ValidationOptions*/={})/*: ${name}*/ {
     let ret = ${checkFuncName}(val, opts);
     assert(typeof ret === 'boolean');
     if (ret) {
-        return val;
+        // The validation proves what flow cannot.
+        return (val/*: any*/);
     } else {
         let errors/*: ?Array<ValidationErrorDesc>*/ = (${checkFuncName}/*: any*/).errors;
         if (errors == null || errors.length === 0) {
             throw new Error('json validation failed');
         }
-        throw new ValidationError(${nameJson}, errors);
+        throw new ValidationError(${nameJson}, errors${reports ? `, val, schema_${name}` : ''});
     }
 };
 `);
+        if (sanitize) {
+            src.push(`// Checks whether \`val\` is a valid ${name}.
+// @returns a copy of \`val\` without the properties that ${name} doesn't declare if it's a valid ${name}, throws if not.
+${exportKeyword}function sanitize${name}(val/*: mixed*/, opts/*: ValidationOptions*/={})/*: ${name}*/ {
+    return ${sanitizingFunctionNames[name]}(${assertFuncName}(val, opts));
+};
+`);
+        }
+        if (parse) {
+            src.push(makeParseFunction(name, exportKeyword, opts.precompile === true ? coercingFunctionNames[name] : null, reports));
+        }
+    }
+    if (!esm) {
+        src.push('module.exports = {');
+        src.push('    ValidationError,');
+        if (reports) {
+            src.push('    formatValidationError,');
+        }
+        for (let name of typeNames) {
+            src.push(`    ${'check' + name},`);
+            src.push(`    ${'assert' + name},`);
+            if (parse) {
+                src.push(`    ${'parse' + name},`);
+            }
+            if (sanitize) {
+                src.push(`    ${'sanitize' + name},`);
+            }
+        }
+        src.push('};');
     }
 
-    src.push('module.exports = {');
-    src.push('    ValidationError,');
-    for (let name of typeNames) {
-        src.push(`    ${'check' + name},`);
-        src.push(`    ${'assert' + name},`);
+    let dts = null;
+    if (opts.dts === true) {
+        dts = makeValidatorDts(srcPath, typeNames, concatFlowDefsSrc, typesHash, opts);
+    }
+    return {src: src.join('\n'), dts};
+}
+
+// Returns the source of `parseX`, which coerces a copy of its input with `coercingFunctionName` if the validators
+// are precompiled, or with ajv's `coerceTypes: 'array'` otherwise.
+// Only a valid input as a whole is returned unchanged; the unions inside an invalid one are coerced to their first
+// member that the value can be coerced to.
+function makeParseFunction(name/*: string*/, exportKeyword/*: string*/, coercingFunctionName/*: ?string*/, reports/*: boolean*/)/*: string*/ {
+    let nameJson = JSON.stringify(name);
+    let coerceBody;
+    if (coercingFunctionName != null) {
+        coerceBody = `    let errors/*: ?Array<ValidationErrorDesc>*/ = [];
+    if (${coercingFunctionName}(holder.value, '', errors, opts.allErrors === true, holder, 'value')) {
+        // Arrays with a single item are replaced with the item even if the item cannot be coerced, like ajv does, so
+        // the result is checked again.
+        if (check${name}(holder.value, opts)) {
+            return holder.value;
+        }
+        errors = (check${name}/*: any*/).errors;
+    }
+    if (errors == null || errors.length === 0) {
+        throw new Error('json validation failed');
+    }`;
+    } else {
+        coerceBody = `    const ajv = opts.allErrors !== true ? ajvCoerce : ajvCoerceAllErrors;
+    const parsers = opts.allErrors !== true ? g_parsers : g_parsersAllErrors;
+
+    let parser = parsers[${nameJson}];
+    if (parser == null) {
+        parser = ajv.compile(schema_${name});
+        parsers[${nameJson}] = parser;
+    }
+    let errors/*: ?Array<ValidationErrorDesc>*/;
+    if (parser(holder.value, '', holder, 'value', holder)) {
+        // ajv replaces an array with a single item with the item even if the item cannot be coerced, so the result is
+        // checked again.
+        if (check${name}(holder.value, opts)) {
+            return holder.value;
+        }
+        errors = (check${name}/*: any*/).errors;
+    } else {
+        errors = (parser/*: any*/).errors;
+    }
+    if (errors == null || errors.length === 0) {
+        throw new Error('json validation failed');
+    }`;
     }
-    src.push('};');
+    return `// Coerces a copy of \`input\` to ${name}, e.g. the strings of query parameters to numbers, booleans, nulls and
+// arrays.
+// An input that is valid already is returned as it is. Otherwise, each union in it takes its first member that
+// the value can be coerced to.
+// @returns the coerced value if it's a valid ${name}, throws if not.
+${exportKeyword}function parse${name}(input/*: mixed*/, opts/*: ValidationOptions*/={})/*: ${name}*/ {
+    // The root value is coerced in its holder.
+    let holder = {value: cloneData(input)};
+    if (check${name}(holder.value)) {
+        return holder.value;
+    }
+${coerceBody}
+    throw new ValidationError(${nameJson}, errors${reports ? `, holder.value, schema_${name}` : ''});
+};
+`;
+}
+
+async function makeValidatorSrc(srcPath, opts/*: Options*/={}) {
+    return (await makeValidatorModule(srcPath, opts)).src;
+}
+
+function makeValidatorDts(srcPath, typeNames/*: string[]*/, flowDefsSrc/*: string*/, typesHash/*: string*/, opts/*: Options*/)/*: string*/ {
+    const {declarations, names} = flowToTypeScript(flowDefsSrc);
+    const reports = opts.reports === true;
+    let src = [];
+    src.push(`// Generated by flow-jsonschema from ${srcPath}.
+// DO NOT EDIT.
+// Flow types hash: ${typesHash}
+
+${declarations}
+
+type ValidationOptions = {
+    allErrors?: boolean;
+};
+export type ValidationErrorDesc = {
+    keyword: string;
+    dataPath: string;
+    schemaPath: string;
+    params: {[key: string]: any};
+    message: string;
+};${reports ? `
+export type ValidationFailure = {
+    // Where the invalid value is, e.g. \`User.address.zip\`
+    path: string;
+    // The flow type that the value should have, e.g. \`{|a: 2, b: number|}\`
+    expected: string;
+    // The type of the value, or the value itself if it should be a literal of the same type
+    actual: string;
+    // e.g. 'expected \`number\`, got \`string\`'
+    message: string;
+};` : ''}
 
+export declare class ValidationError extends Error {
+    typeName: string;
+    errors: ValidationErrorDesc[];${reports ? `
+    failures: ValidationFailure[];
+    constructor(typeName: string, errors: ValidationErrorDesc[], value: unknown, schema?: object | null);` : `
+    constructor(typeName: string, errors: ValidationErrorDesc[]);`}
+}
+`);
+    if (reports) {
+        src.push(`// Returns a report of the failures of \`err\` with a line for each failure, e.g. for logs.
+export declare function formatValidationError(err: ValidationError): string;
+`);
+    }
+    for (let name of typeNames) {
+        src.push(`// Checks whether \`val\` is a valid ${name}.
+export declare function check${name}(val: unknown, opts?: ValidationOptions): val is ${names[name]};
+// Checks whether \`val\` is a valid ${name}.
+// @returns \`val\` typed as ${name} if it's a valid ${name}, throws if not.
+export declare function assert${name}(val: unknown, opts?: ValidationOptions): ${names[name]};
+`);
+        if (opts.sanitize === true) {
+            src.push(`// Checks whether \`val\` is a valid ${name}.
+// @returns a copy of \`val\` without the properties that ${name} doesn't declare if it's a valid ${name}, throws if not.
+export declare function sanitize${name}(val: unknown, opts?: ValidationOptions): ${names[name]};
+`);
+        }
+        if (opts.parse === true) {
+            src.push(`// Coerces a copy of \`input\` to ${name}, e.g. the strings of query parameters to numbers, booleans, nulls and
+// arrays.
+// @returns the coerced value if it's a valid ${name}, throws if not.
+export declare function parse${name}(input: unknown, opts?: ValidationOptions): ${names[name]};
+`);
+        }
+    }
     return src.join('\n');
 }
 
 
+const JSON_SCHEMA_DRAFT = 'http://json-schema.org/draft-07/schema#';
+
+// Returns the names of the definitions that `schema` refers to, directly or through other definitions.
+function referencedDefinitions(schema, definitions/*: {[key: string]: Object}*/)/*: string[]*/ {
+    let res = new Set();
+    const visit = (schema) => {
+        forEachRef(schema, ref => {
+            const key = ref.slice(DEFINITIONS_PREFIX.length);
+            if (!res.has(key)) {
+                res.add(key);
+                visit(definitions[key]);
+            }
+        });
+    };
+    visit(schema);
+    return Array.from(res).sort();
+}
+
+// Returns a JSON schema document that has every exported type of `srcPath` under `definitions`.
+// e.g.) `types.schema.json#/definitions/User`
+async function makeSchemaBundle(srcPath, opts/*: Options*/={})/*: Object*/ {
+    let [types, , definitions = {}] = await makeSchema(srcPath, opts);
+    let typeNames = Object.keys(types).sort();
+    if (typeNames.length === 0) {
+        throw new Error('no types to process');
+    }
+
+    let bundleDefinitions = {};
+    for (let key of Object.keys(definitions).sort()) {
+        bundleDefinitions[key] = definitions[key];
+    }
+    for (let name of typeNames) {
+        // Exported types are already in the definitions with the same name in --refs mode.
+        if (types[name].$ref !== DEFINITIONS_PREFIX + name) {
+            bundleDefinitions[name] = types[name];
+        }
+    }
+    return {
+        $schema: JSON_SCHEMA_DRAFT,
+        $id: (opts.idBase || '') + pathlib.basename(srcPath, '.js') + '.schema.json',
+        definitions: bundleDefinitions,
+    };
+}
+
+// Returns a JSON schema document for each exported type of `srcPath`.
+// Each document has the definitions of the types that it refers to.
+async function makeSchemaFiles(srcPath, opts/*: Options*/={})/*: {[fileName: string]: Object}*/ {
+    let [types, , definitions = {}] = await makeSchema(srcPath, opts);
+    let typeNames = Object.keys(types).sort();
+    if (typeNames.length === 0) {
+        throw new Error('no types to process');
+    }
+
+    let res = {};
+    for (let name of typeNames) {
+        let schema = types[name];
+        // The root schema is not a `$ref` since the other keywords next to `$ref` are ignored.
+        while (schema.$ref != null) {
+            schema = definitions[schema.$ref.slice(DEFINITIONS_PREFIX.length)];
+        }
+        const fileName = name + '.schema.json';
+        let doc = Object.assign({
+            $schema: JSON_SCHEMA_DRAFT,
+            $id: (opts.idBase || '') + fileName,
+        }, schema);
+        const keys = referencedDefinitions(schema, definitions);
+        if (keys.length !== 0) {
+            doc.definitions = {};
+            for (let key of keys) {
+                doc.definitions[key] = definitions[key];
+            }
+        }
+        res[fileName] = doc;
+    }
+    return res;
+}
+
+
 module.exports = {
+    generate,
     makeSchema,
     makeValidatorSrc,
+    makeValidatorModule,
+    makeSchemaBundle,
+    makeSchemaFiles,
+    connectFlowLsp,
     flowVersionGte89,
+    SkippedTypesError,
 };
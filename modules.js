@@ -0,0 +1,243 @@
+'use strict';
+
+const fs = require('fs');
+const pathlib = require('path');
+
+
+/*::
+type NameMapper = {|
+    pattern: RegExp,
+    replacement: string,
+|};
+
+// The module resolution options in .flowconfig
+type ModuleOptions = {|
+    root: string,
+    nameMappers: NameMapper[],
+    fileExts: string[],
+    resolveDirnames: string[],
+|};
+*/
+
+const DEFAULT_FILE_EXTS = ['.js', '.jsx', '.mjs', '.cjs', '.json'];
+
+// Returns the directory of the .flowconfig that applies to `dir`, or null if there is none.
+function findFlowRoot(dir/*: string*/)/*: ?string*/ {
+    dir = pathlib.resolve(dir);
+    for (;;) {
+        if (fs.existsSync(pathlib.join(dir, '.flowconfig'))) {
+            return dir;
+        }
+        const parent = pathlib.dirname(dir);
+        if (parent === dir) {
+            return null;
+        }
+        dir = parent;
+    }
+}
+
+// Converts an OCaml Str regular expression, which flow uses in .flowconfig, to a JS one.
+// Groups and alternations are written as `\(`, `\)` and `\|`, and unescaped parentheses and bars are literal.
+function strToRegExp(src/*: string*/)/*: RegExp*/ {
+    let res = '';
+    for (let i = 0; i < src.length; i++) {
+        const c = src[i];
+        if (c === '\\' && i + 1 < src.length) {
+            const next = src[++i];
+            res += '()|'.includes(next) ? next : '\\' + next;
+        } else {
+            res += '()|'.includes(c) ? '\\' + c : c;
+        }
+    }
+    return new RegExp(res);
+}
+
+// Unquotes a single-quoted .flowconfig value.
+function unquote(src/*: string*/)/*: string*/ {
+    src = src.trim();
+    const m = /^'(.*)'$/.exec(src);
+    return m != null ? m[1] : src;
+}
+
+function parseFlowconfig(root/*: string*/, src/*: string*/)/*: ModuleOptions*/ {
+    let res = {
+        root,
+        nameMappers: [],
+        fileExts: [],
+        resolveDirnames: [],
+    };
+    let section = null;
+    for (let line of src.split('\n')) {
+        line = line.trim();
+        if (line === '' || line.startsWith('#') || line.startsWith(';')) {
+            continue;
+        }
+        const sectionMatch = /^\[(.*)\]$/.exec(line);
+        if (sectionMatch != null) {
+            section = sectionMatch[1];
+            continue;
+        }
+        if (section !== 'options') {
+            continue;
+        }
+        const eq = line.indexOf('=');
+        if (eq === -1) {
+            continue;
+        }
+        const key = line.slice(0, eq).trim();
+        const value = line.slice(eq + 1).trim();
+        if (key === 'module.name_mapper') {
+            // module.name_mapper='^foo/\(.*\)$' -> '<PROJECT_ROOT>/src/foo/\1'
+            const m = /^'(.*)'\s*->\s*'(.*)'$/.exec(value);
+            if (m == null) {
+                throw new Error(`invalid module.name_mapper in ${root}/.flowconfig: ${value}`);
+            }
+            res.nameMappers.push({
+                pattern: strToRegExp(m[1]),
+                replacement: m[2].replace(/<PROJECT_ROOT>/g, () => root).replace(/\\(\d)/g, '$$$1'),
+            });
+        } else if (key === 'module.file_ext') {
+            res.fileExts.push(unquote(value));
+        } else if (key === 'module.system.node.resolve_dirname') {
+            res.resolveDirnames.push(unquote(value));
+        }
+    }
+    if (res.fileExts.length === 0) {
+        res.fileExts = DEFAULT_FILE_EXTS;
+    }
+    if (res.resolveDirnames.length === 0) {
+        res.resolveDirnames = ['node_modules'];
+    }
+    return res;
+}
+
+function isFile(path/*: string*/)/*: boolean*/ {
+    try {
+        return fs.statSync(path).isFile();
+    } catch (err) {
+        return false;
+    }
+}
+
+function isDirectory(path/*: string*/)/*: boolean*/ {
+    try {
+        return fs.statSync(path).isDirectory();
+    } catch (err) {
+        return false;
+    }
+}
+
+// Resolves modules the way flow does with `module.system=node`, without starting a flow server.
+class ModuleResolver {
+    /*::
+    // .flowconfig directory => module options
+    options: Map<string, ?ModuleOptions>;
+    */
+    constructor() {
+        this.options = new Map();
+    }
+
+    _getOptions(fromPath/*: string*/)/*: ?ModuleOptions*/ {
+        const root = findFlowRoot(pathlib.dirname(fromPath));
+        if (root == null) {
+            return null;
+        }
+        if (!this.options.has(root)) {
+            this.options.set(root, parseFlowconfig(root, fs.readFileSync(pathlib.join(root, '.flowconfig'), 'utf-8')));
+        }
+        return this.options.get(root);
+    }
+
+    // Returns the declaration file (`.js.flow`) if there is one, since it takes precedence over the implementation.
+    _file(path/*: string*/)/*: ?string*/ {
+        if (isFile(path + '.flow')) {
+            return path + '.flow';
+        }
+        return isFile(path) ? path : null;
+    }
+
+    _fileOrDirectory(path/*: string*/, fileExts/*: string[]*/)/*: ?string*/ {
+        let res = this._file(path);
+        for (let i = 0; res == null && i < fileExts.length; i++) {
+            res = this._file(path + fileExts[i]);
+        }
+        if (res != null || !isDirectory(path)) {
+            return res;
+        }
+
+        const pkgPath = pathlib.join(path, 'package.json');
+        if (isFile(pkgPath)) {
+            const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf-8'));
+            if (typeof pkg.main === 'string') {
+                const main = pathlib.resolve(path, pkg.main);
+                res = this._file(main);
+                for (let i = 0; res == null && i < fileExts.length; i++) {
+                    res = this._file(main + fileExts[i]);
+                }
+                if (res == null) {
+                    res = this._index(main, fileExts);
+                }
+                if (res != null) {
+                    return res;
+                }
+            }
+        }
+        return this._index(path, fileExts);
+    }
+
+    _index(dir/*: string*/, fileExts/*: string[]*/)/*: ?string*/ {
+        for (let ext of fileExts) {
+            const res = this._file(pathlib.join(dir, 'index' + ext));
+            if (res != null) {
+                return res;
+            }
+        }
+        return null;
+    }
+
+    // Returns the path of the module `request` imported from `fromPath`.
+    // Has the same signature as `flowFindModule` so that it can be used with `TypeResolver`.
+    async findModule(request/*: string*/, fromPath/*: string*/)/*: Promise<string>*/ {
+        const options = this._getOptions(fromPath);
+        const fileExts = options != null ? options.fileExts : DEFAULT_FILE_EXTS;
+        const resolveDirnames = options != null ? options.resolveDirnames : ['node_modules'];
+
+        let mapped = request;
+        if (options != null) {
+            const mapper = options.nameMappers.find(mapper => mapper.pattern.test(request));
+            if (mapper != null) {
+                mapped = request.replace(mapper.pattern, mapper.replacement);
+            }
+        }
+
+        let res = null;
+        if (pathlib.isAbsolute(mapped)) {
+            res = this._fileOrDirectory(mapped, fileExts);
+        } else if (mapped.startsWith('./') || mapped.startsWith('../') || mapped === '.' || mapped === '..') {
+            res = this._fileOrDirectory(pathlib.resolve(pathlib.dirname(fromPath), mapped), fileExts);
+        } else {
+            // Search the node_modules directories from the directory of the importing file up to the root.
+            let dir = pathlib.dirname(pathlib.resolve(fromPath));
+            for (;;) {
+                for (let dirname of resolveDirnames) {
+                    res = res || this._fileOrDirectory(pathlib.join(dir, dirname, mapped), fileExts);
+                }
+                const parent = pathlib.dirname(dir);
+                if (res != null || parent === dir) {
+                    break;
+                }
+                dir = parent;
+            }
+        }
+        if (res == null) {
+            throw new Error(`cannot resolve module ${request} from ${fromPath}`);
+        }
+        return res;
+    }
+}
+
+
+module.exports = {
+    ModuleResolver,
+    findFlowRoot,
+};
@@ -0,0 +1,266 @@
+'use strict';
+
+
+// The runtime code of the error reports of generated validators, which describe the failures of invalid values in
+// terms of their flow types instead of ajv's errors.
+// The reports are made from the JSON schemas, which are checked against the value again. Unions are collapsed to the
+// member that the value most likely was meant to be, so that the failures in the other members are not reported.
+
+// Returns the source of the report functions, which take the schemas of the types from the functions that throw the
+// errors, so that the types that are not validated can still be dropped by bundlers.
+function reportSrc(exportKeyword/*: string*/)/*: string*/ {
+    return `/*::
+export type ValidationFailure = {|
+    // Where the invalid value is, e.g. \`User.address.zip\`
+    path: string,
+    // The flow type that the value should have, e.g. \`{|a: 2, b: number|}\`
+    expected: string,
+    // The type of the value, or the value itself if it should be a literal of the same type
+    actual: string,
+    // e.g. 'expected \`number\`, got \`string\`'
+    message: string,
+|};
+*/
+
+// Type names of JSON values, as opposed to literals
+const REPORT_VALUE_TYPES = ['string', 'number', 'boolean', 'null', 'undefined', 'array', 'object'];
+
+// Returns the path of the property or item \`key\` of the value at \`path\`, e.g. \`User.tags[0]\`.
+function reportPath(path/*: string*/, key/*: string | number*/)/*: string*/ {
+    if (typeof key === 'string' && /^[a-z$_][a-z$_0-9]*$/i.test(key)) {
+        return path + '.' + key;
+    }
+    return path + '[' + JSON.stringify(key) + ']';
+}
+
+function reportValueType(data/*: mixed*/)/*: string*/ {
+    if (data === null) {
+        return 'null';
+    }
+    return Array.isArray(data) ? 'array' : typeof data;
+}
+
+function reportResolveRef(root/*: Object*/, schema/*: Object*/)/*: Object*/ {
+    while (typeof schema.$ref === 'string') {
+        schema = root.definitions[schema.$ref.slice('#/definitions/'.length)];
+    }
+    return schema;
+}
+
+// Returns \`schema\` as a flow type. Object types nested deeper than \`depth\` are abbreviated to \`{...}\`.
+function reportFlowType(schema/*: Object*/, depth/*: number*/=1)/*: string*/ {
+    if (typeof schema.$ref === 'string') {
+        return schema.$ref.slice('#/definitions/'.length);
+    }
+    let members = schema.anyOf || schema.allOf;
+    if (schema.if !== undefined) {
+        // A discriminated union, whose members are the \`then\`s of the chain
+        members = [];
+        for (let chain = schema; chain !== undefined; chain = chain.else) {
+            members.push(chain.then);
+        }
+    }
+    if (members !== undefined) {
+        const types = members.map(member => {
+            const type = reportFlowType(member, depth);
+            // Members that are unions or intersections themselves, including \`?T\` and literal unions
+            const compound = member.$ref === undefined && (member.anyOf !== undefined || member.allOf !== undefined ||
+                member.if !== undefined || member.enum !== undefined && member.enum.length > 1);
+            return compound ? '(' + type + ')' : type;
+        });
+        if (schema.anyOf !== undefined && types.length === 2 && types[0] === 'null') {
+            return '?' + types[1];
+        }
+        return types.join(schema.allOf !== undefined ? ' & ' : ' | ');
+    }
+    if (schema.const !== undefined) {
+        return JSON.stringify(schema.const);
+    }
+    if (schema.enum !== undefined) {
+        return schema.enum.length !== 0 ? schema.enum.map(value => JSON.stringify(value)).join(' | ') : 'empty';
+    }
+    if (schema.not !== undefined) {
+        // Only properties that must not be present are typed like this.
+        return 'void';
+    }
+    switch (schema.type) {
+    case 'array':
+        if (Array.isArray(schema.items)) {
+            return '[' + schema.items.map(item => reportFlowType(item, depth)).join(', ') + ']';
+        }
+        return 'Array<' + (schema.items !== undefined ? reportFlowType(schema.items, depth) : 'mixed') + '>';
+    case 'object': {
+        // Indexers are patterns that every property matches.
+        const exact = schema.additionalProperties === false && schema.patternProperties === undefined;
+        if (depth === 0) {
+            return exact ? '{|...|}' : '{...}';
+        }
+        const properties = schema.properties || {};
+        const required = schema.required || [];
+        let res = Object.keys(properties).map(key => {
+            const name = /^[a-z$_][a-z$_0-9]*$/i.test(key) ? key : JSON.stringify(key);
+            return name + (required.includes(key) ? '' : '?') + ': ' + reportFlowType(properties[key], depth - 1);
+        });
+        let indexers = Object.keys(schema.patternProperties || {}).map(pattern => schema.patternProperties[pattern]);
+        if (typeof schema.additionalProperties === 'object') {
+            indexers.push(schema.additionalProperties);
+        }
+        for (let indexer of indexers) {
+            // The key types of objects with properties are unions with the property names.
+            const keys = schema.propertyNames;
+            const keyType = keys === undefined ? 'string' : reportFlowType(keys.anyOf !== undefined ? keys.anyOf[1] : keys, depth - 1);
+            res.push('[key: ' + keyType + ']: ' + reportFlowType(indexer, depth - 1));
+        }
+        return exact ? '{|' + res.join(', ') + '|}' : '{' + res.join(', ') + '}';
+    }
+    case undefined:
+        return 'mixed';
+    default:
+        return schema.type;
+    }
+}
+
+function reportFailure(path/*: string*/, expected/*: string*/, actual/*: string*/, message/*: string*/)/*: ValidationFailure*/ {
+    return {path, expected, actual, message};
+}
+
+// The literals that \`schema\` accepts, directly or in a union
+function reportLiterals(root/*: Object*/, schema/*: Object*/)/*: mixed[]*/ {
+    schema = reportResolveRef(root, schema);
+    if (schema.const !== undefined) {
+        return [schema.const];
+    }
+    return schema.enum || [].concat(...(schema.anyOf || []).map(member => reportLiterals(root, member)));
+}
+
+function reportMismatch(root/*: Object*/, path/*: string*/, schema/*: Object*/, data/*: mixed*/)/*: ValidationFailure*/ {
+    const expected = reportFlowType(schema);
+    // Values of the same type as the expected literals are wrong values rather than values of the wrong type.
+    const literal = reportLiterals(root, schema).some(value => reportValueType(value) === reportValueType(data));
+    const actual = literal ? String(JSON.stringify(data)) : reportValueType(data);
+    return reportFailure(path, expected, actual, 'expected \`' + expected + '\`, got \`' + actual + '\`');
+}
+
+// How unlikely it is that a member of a union was meant, by the failures of the value against it
+function reportUnlikeliness(path/*: string*/, failures/*: ValidationFailure[]*/)/*: number*/ {
+    let res = 0;
+    for (let failure of failures) {
+        if (failure.path === path) {
+            return Infinity;
+        }
+        // A wrong literal, e.g. the tag of a disjoint union, tells more than a wrong type.
+        res += REPORT_VALUE_TYPES.includes(failure.actual) ? 1 : 2;
+    }
+    return res;
+}
+
+// Returns the failures of \`data\` at \`path\` against \`schema\`, in which \`root\` is the schema of the whole value.
+function reportFailures(root/*: Object*/, type/*: Object*/, data/*: any*/, path/*: string*/)/*: ValidationFailure[]*/ {
+    // Mismatches are reported with the names of the referenced types.
+    const schema = reportResolveRef(root, type);
+    if (schema.anyOf !== undefined) {
+        let best = null;
+        let bestUnlikeliness = Infinity;
+        for (let member of schema.anyOf) {
+            const failures = reportFailures(root, member, data, path);
+            if (failures.length === 0) {
+                return [];
+            }
+            const unlikeliness = reportUnlikeliness(path, failures);
+            if (unlikeliness < bestUnlikeliness) {
+                best = failures;
+                bestUnlikeliness = unlikeliness;
+            }
+        }
+        return best != null ? best : [reportMismatch(root, path, type, data)];
+    }
+    let res = [];
+    for (let member of schema.allOf || []) {
+        res.push(...reportFailures(root, member, data, path));
+    }
+    if (schema.not !== undefined && reportFailures(root, schema.not, data, path).length === 0 ||
+        schema.type !== undefined && reportValueType(data) !== schema.type ||
+        schema.const !== undefined && data !== schema.const ||
+        schema.enum !== undefined && !schema.enum.includes(data)) {
+        return [...res, reportMismatch(root, path, type, data)];
+    }
+    if (typeof data === 'string' && schema.pattern !== undefined && !new RegExp(schema.pattern).test(data)) {
+        res.push(reportFailure(path, 'string', JSON.stringify(data), 'expected a string matching /' + schema.pattern + '/'));
+    }
+    if (Array.isArray(data) && schema.items !== undefined) {
+        data.forEach((item, i) => {
+            const itemSchema = Array.isArray(schema.items) ? schema.items[i] : schema.items;
+            if (itemSchema !== undefined) {
+                res.push(...reportFailures(root, itemSchema, item, reportPath(path, i)));
+            }
+        });
+    }
+    if (reportValueType(data) === 'object') {
+        const properties = schema.properties || {};
+        const patternProperties = schema.patternProperties || {};
+        for (let key of schema.required || []) {
+            if (data[key] === undefined) {
+                const expected = reportFlowType(properties[key] || {});
+                res.push(reportFailure(reportPath(path, key), expected, 'undefined', 'missing property of type \`' + expected + '\`'));
+            }
+        }
+        for (let key of Object.keys(data)) {
+            const keyPath = reportPath(path, key);
+            if (schema.propertyNames !== undefined) {
+                const keyFailures = reportFailures(root, schema.propertyNames, key, keyPath);
+                if (keyFailures.length !== 0) {
+                    const expected = reportFlowType(schema.propertyNames);
+                    res.push(reportFailure(keyPath, expected, JSON.stringify(key), 'unexpected key, expected \`' + expected + '\`'));
+                    continue;
+                }
+            }
+            let declared = false;
+            if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                res.push(...reportFailures(root, properties[key], data[key], keyPath));
+                declared = true;
+            }
+            for (let pattern of Object.keys(patternProperties)) {
+                if (new RegExp(pattern).test(key)) {
+                    res.push(...reportFailures(root, patternProperties[pattern], data[key], keyPath));
+                    declared = true;
+                }
+            }
+            if (!declared && schema.additionalProperties === false) {
+                const actual = reportValueType(data[key]);
+                res.push(reportFailure(keyPath, 'void', actual, 'unexpected property of type \`' + actual + '\`'));
+            } else if (!declared && typeof schema.additionalProperties === 'object') {
+                res.push(...reportFailures(root, schema.additionalProperties, data[key], keyPath));
+            }
+        }
+    }
+    if (schema.if !== undefined && res.length === 0) {
+        // Only the member of a discriminated union that the value is tagged with, once the tag is known to be valid
+        const member = reportFailures(root, schema.if, data, path).length === 0 ? schema.then : schema.else;
+        if (member !== undefined) {
+            res.push(...reportFailures(root, member, data, path));
+        }
+    }
+    return res;
+}
+
+// Returns the failures of \`value\`, which is not a valid \`typeName\` of the JSON schema \`schema\`.
+function validationFailures(schema/*: Object*/, typeName/*: string*/, value/*: mixed*/)/*: ValidationFailure[]*/ {
+    return reportFailures(schema, schema, value, typeName);
+}
+
+// Returns a report of the failures of \`err\` with a line for each failure, e.g. for logs.
+${exportKeyword}function formatValidationError(err/*: ValidationError*/)/*: string*/ {
+    if (err.failures.length === 0) {
+        return err.message;
+    }
+    return [
+        err.typeName + ' is invalid:',
+        ...err.failures.map(failure => '    ' + failure.path + ': ' + failure.message),
+    ].join('\\n');
+}
+`;
+}
+
+module.exports = {
+    reportSrc,
+};
@@ -0,0 +1,494 @@
+'use strict';
+
+const assert = require('assert');
+const async = require('async');
+const fs = require('fs');
+const pathlib = require('path');
+const flowParser = require('flow-parser');
+
+
+/*::
+type FindModuleFunc = (request: string, fromPath: string) => Promise<string>;
+
+// A type declaration that a type name resolves to.
+export type TypeBinding = {|
+    file: SourceFile,
+    // TypeAlias or EnumDeclaration node
+    decl: any,
+|};
+
+// A constant that a value name resolves to.
+export type ValueBinding = {|
+    file: SourceFile,
+    name: string,
+    // initializer expression of the constant
+    init: any,
+|};
+
+type LocalType =
+    | {|kind: 'alias', decl: any|}
+    | {|kind: 'enum', decl: any|}
+    | {|kind: 'import', source: string, importedName: string|};
+
+type ExportedType =
+    | {|kind: 'local', localName: string|}
+    | {|kind: 'reexport', source: string, importedName: string|};
+
+type LocalValue =
+    | {|kind: 'const', init: any|}
+    | {|kind: 'import', source: string, importedName: string|};
+*/
+
+// Calls `fn` for every node in `ast`.
+function walk(ast, fn/*: (node: any) => void*/) {
+    if (Array.isArray(ast)) {
+        for (let node of ast) {
+            walk(node, fn);
+        }
+    } else if (ast != null && typeof ast === 'object' && typeof ast.type === 'string') {
+        fn(ast);
+        for (let key of Object.keys(ast)) {
+            if (key !== 'loc' && key !== 'range') {
+                walk(ast[key], fn);
+            }
+        }
+    }
+}
+
+// Type declarations and imports of a source file.
+class SourceFile {
+    /*::
+    path: string;
+    src: string;
+    ast: any;
+    localTypes: {[name: string]: LocalType};
+    exportedTypes: {[name: string]: ExportedType};
+    // Top-level constants and value imports, which can be referred to with `typeof`.
+    localValues: {[name: string]: LocalValue};
+    exportedValues: {[name: string]: ExportedType};
+    // module specifier => resolved path, or the error that occurred while resolving it.
+    modules: {[source: string]: ?(string | Error)};
+    */
+    constructor(path/*: string*/, src/*: string*/) {
+        this.path = path;
+        this.src = src;
+        this.ast = flowParser.parse(src, {enums: true});
+        assert(this.ast.type === 'Program');
+        if (this.ast.errors.length !== 0) {
+            throw new Error(`failed to parse source ${path}: ${JSON.stringify(this.ast.errors)}`);
+        }
+        this.localTypes = {};
+        this.exportedTypes = {};
+        this.localValues = {};
+        this.exportedValues = {};
+        this.modules = {};
+        this._scan();
+    }
+
+    _scanConsts(decl) {
+        if (decl.type !== 'VariableDeclaration' || decl.kind !== 'const') {
+            return [];
+        }
+        let names = [];
+        for (let declarator of decl.declarations) {
+            if (declarator.id.type === 'Identifier' && declarator.init != null) {
+                this.localValues[declarator.id.name] = {
+                    kind: 'const',
+                    init: declarator.init,
+                };
+                names.push(declarator.id.name);
+            }
+        }
+        return names;
+    }
+
+    _scanEnum(decl) {
+        this.localTypes[decl.id.name] = {
+            kind: 'enum',
+            decl,
+        };
+    }
+
+    _scan() {
+        // Value imports are followed only if they are referred to with `typeof`, or used as types (enums).
+        let typeofNames = new Set();
+        let typeNames = new Set();
+        let typeofArgs = new Set();
+        walk(this.ast.body, node => {
+            if (node.type === 'TypeofTypeAnnotation' && node.argument.type === 'GenericTypeAnnotation' &&
+                    node.argument.id.type === 'Identifier') {
+                typeofNames.add(node.argument.id.name);
+                typeofArgs.add(node.argument);
+            } else if (node.type === 'GenericTypeAnnotation' && node.id.type === 'Identifier' && !typeofArgs.has(node)) {
+                typeNames.add(node.id.name);
+            }
+        });
+
+        for (let child of this.ast.body) {
+            if (child.type === 'ImportDeclaration') {
+                for (let specifier of child.specifiers) {
+                    if (specifier.type !== 'ImportSpecifier') {
+                        continue;
+                    }
+                    assert(specifier.imported.type === 'Identifier');
+                    assert(specifier.local.type === 'Identifier');
+                    // import type {A} from '...';
+                    // import {type A} from '...';
+                    if (child.importKind !== 'type' && specifier.importKind !== 'type') {
+                        if (child.importKind !== 'value' || specifier.importKind != null) {
+                            continue;
+                        }
+                        // import {A} from '...';
+                        if (typeofNames.has(specifier.local.name)) {
+                            this.localValues[specifier.local.name] = {
+                                kind: 'import',
+                                source: child.source.value,
+                                importedName: specifier.imported.name,
+                            };
+                            this.modules[child.source.value] = null;
+                        }
+                        if (typeNames.has(specifier.local.name)) {
+                            this.localTypes[specifier.local.name] = {
+                                kind: 'import',
+                                source: child.source.value,
+                                importedName: specifier.imported.name,
+                            };
+                            this.modules[child.source.value] = null;
+                        }
+                        continue;
+                    }
+                    this.localTypes[specifier.local.name] = {
+                        kind: 'import',
+                        source: child.source.value,
+                        importedName: specifier.imported.name,
+                    };
+                    this.modules[child.source.value] = null;
+                }
+            } else if (child.type === 'TypeAlias') {
+                this.localTypes[child.id.name] = {
+                    kind: 'alias',
+                    decl: child,
+                };
+            } else if (child.type === 'EnumDeclaration') {
+                this._scanEnum(child);
+            } else if (child.type === 'VariableDeclaration') {
+                this._scanConsts(child);
+            } else if (child.type === 'ExportNamedDeclaration' && child.exportKind === 'value') {
+                if (child.declaration != null && child.declaration.type === 'EnumDeclaration') {
+                    // export enum A {...}
+                    const name = child.declaration.id.name;
+                    this._scanEnum(child.declaration);
+                    this.exportedValues[name] = {
+                        kind: 'local',
+                        localName: name,
+                    };
+                } else if (child.declaration != null) {
+                    // export const A = ...;
+                    for (let name of this._scanConsts(child.declaration)) {
+                        this.exportedValues[name] = {
+                            kind: 'local',
+                            localName: name,
+                        };
+                    }
+                }
+                for (let specifier of child.specifiers) {
+                    if (specifier.type !== 'ExportSpecifier') {
+                        continue;
+                    }
+                    assert(specifier.exported.type === 'Identifier');
+                    assert(specifier.local.type === 'Identifier');
+                    if (child.source != null) {
+                        // export {A} from '...';
+                        this.exportedValues[specifier.exported.name] = {
+                            kind: 'reexport',
+                            source: child.source.value,
+                            importedName: specifier.local.name,
+                        };
+                        this.modules[child.source.value] = null;
+                    } else {
+                        // export {A};
+                        this.exportedValues[specifier.exported.name] = {
+                            kind: 'local',
+                            localName: specifier.local.name,
+                        };
+                    }
+                }
+            } else if (child.type === 'ExportNamedDeclaration' && child.exportKind === 'type') {
+                let decl = child.declaration;
+                if (decl != null && decl.type === 'TypeAlias' && decl.id.type === 'Identifier') {
+                    // export type Type = ...;
+                    this.localTypes[decl.id.name] = {
+                        kind: 'alias',
+                        decl,
+                    };
+                    this.exportedTypes[decl.id.name] = {
+                        kind: 'local',
+                        localName: decl.id.name,
+                    };
+                }
+                for (let specifier of child.specifiers) {
+                    if (specifier.type !== 'ExportSpecifier') {
+                        continue;
+                    }
+                    assert(specifier.exported.type === 'Identifier');
+                    assert(specifier.local.type === 'Identifier');
+                    if (child.source != null) {
+                        // export type {Type} from '...';
+                        this.exportedTypes[specifier.exported.name] = {
+                            kind: 'reexport',
+                            source: child.source.value,
+                            importedName: specifier.local.name,
+                        };
+                        this.modules[child.source.value] = null;
+                    } else {
+                        // export type {Type};
+                        this.exportedTypes[specifier.exported.name] = {
+                            kind: 'local',
+                            localName: specifier.local.name,
+                        };
+                    }
+                }
+            }
+        }
+
+        // Enums are types as well as values.
+        for (let name of Object.keys(this.exportedValues)) {
+            const exported = this.exportedValues[name];
+            if (exported.kind === 'local' && this.exportedTypes[name] == null &&
+                    this.localTypes[exported.localName] != null && this.localTypes[exported.localName].kind === 'enum') {
+                this.exportedTypes[name] = exported;
+            }
+        }
+    }
+}
+
+// Resolves type names to their declarations by following `import type` and `export type ... from` chains
+// through the source files.
+class TypeResolver {
+    /*::
+    findModule: FindModuleFunc;
+    // how many modules are looked up at the same time
+    concurrency: number;
+    files: Map<string, SourceFile | Error>;
+    */
+    constructor(findModule/*: FindModuleFunc*/, concurrency/*: number*/=3) {
+        this.findModule = findModule;
+        this.concurrency = concurrency;
+        this.files = new Map();
+    }
+
+    // Loads the file at `path` and every file it imports types from.
+    async load(path/*: string*/)/*: Promise<SourceFile>*/ {
+        path = pathlib.resolve(path);
+        if (!this.files.has(path)) {
+            let file;
+            try {
+                file = new SourceFile(path, fs.readFileSync(path, 'utf-8'));
+            } catch (err) {
+                this.files.set(path, err);
+                throw err;
+            }
+            this.files.set(path, file);
+            // The imported files are loaded one at a time once their modules are found, so that no more than
+            // `concurrency` lookups run at once.
+            const sources = Object.keys(file.modules);
+            await async.eachLimit(sources, this.concurrency, async (source) => {
+                try {
+                    file.modules[source] = pathlib.resolve(await this.findModule(source, path));
+                } catch (err) {
+                    // Errors are reported when a type is actually resolved through the module.
+                    file.modules[source] = err;
+                }
+            });
+            for (let source of sources) {
+                const modulePath = file.modules[source];
+                if (typeof modulePath !== 'string') {
+                    continue;
+                }
+                try {
+                    await this.load(modulePath);
+                } catch (err) {
+                    // ditto.
+                }
+            }
+        }
+        return this.getFile(path);
+    }
+
+    // Returns the paths of the loaded file at `path` and the files it imports types from, directly or indirectly.
+    dependencies(path/*: string*/)/*: string[]*/ {
+        let res = new Set();
+        const visit = (path/*: string*/)/*: void*/ => {
+            if (res.has(path)) {
+                return;
+            }
+            res.add(path);
+            const file = this.files.get(path);
+            if (file instanceof SourceFile) {
+                for (let source of Object.keys(file.modules)) {
+                    const modulePath = file.modules[source];
+                    if (typeof modulePath === 'string') {
+                        visit(modulePath);
+                    }
+                }
+            }
+        };
+        visit(pathlib.resolve(path));
+        return Array.from(res);
+    }
+
+    getFile(path/*: string*/)/*: SourceFile*/ {
+        const file = this.files.get(pathlib.resolve(path));
+        if (file == null) {
+            throw new Error(`${path} is not loaded`);
+        } else if (file instanceof Error) {
+            throw file;
+        }
+        return file;
+    }
+
+    _getModule(file/*: SourceFile*/, source/*: string*/)/*: SourceFile*/ {
+        const modulePath = file.modules[source];
+        if (modulePath instanceof Error) {
+            throw modulePath;
+        }
+        assert(typeof modulePath === 'string');
+        return this.getFile(modulePath);
+    }
+
+    // Resolves the type named `name` in the scope of `file`.
+    // Returns null if there is no such type.
+    resolveLocal(file/*: SourceFile*/, name/*: string*/, depth_/*: number*/=0)/*: ?TypeBinding*/ {
+        if (!Object.prototype.hasOwnProperty.call(file.localTypes, name)) {
+            return null;
+        }
+        const local = file.localTypes[name];
+        switch (local.kind) {
+        case 'alias':
+        case 'enum':
+            return {
+                file,
+                decl: local.decl,
+            };
+        case 'import':
+            return this.resolveExport(this._getModule(file, local.source), local.importedName, depth_ + 1);
+        default:
+            throw new Error('unknown local type kind ' + local.kind);
+        }
+    }
+
+    // Resolves the type exported from `file` as `name`.
+    // Returns null if there is no such export.
+    resolveExport(file/*: SourceFile*/, name/*: string*/, depth_/*: number*/=0)/*: ?TypeBinding*/ {
+        if (depth_ > 100) {
+            throw new Error(`max recursion limit exceeded while resolving ${name} in ${file.path}`);
+        }
+        if (!Object.prototype.hasOwnProperty.call(file.exportedTypes, name)) {
+            return this._resolveExportedEnum(file, name, depth_);
+        }
+        const exported = file.exportedTypes[name];
+        switch (exported.kind) {
+        case 'local':
+            return this.resolveLocal(file, exported.localName, depth_ + 1);
+        case 'reexport':
+            return this.resolveExport(this._getModule(file, exported.source), exported.importedName, depth_ + 1);
+        default:
+            throw new Error('unknown exported type kind ' + exported.kind);
+        }
+    }
+
+    // Resolves the enum exported from `file` as a value, e.g. with `export {A} from '...';`.
+    _resolveExportedEnum(file/*: SourceFile*/, name/*: string*/, depth_/*: number*/)/*: ?TypeBinding*/ {
+        if (!Object.prototype.hasOwnProperty.call(file.exportedValues, name)) {
+            return null;
+        }
+        const exported = file.exportedValues[name];
+        let binding;
+        switch (exported.kind) {
+        case 'local':
+            binding = this.resolveLocal(file, exported.localName, depth_ + 1);
+            break;
+        case 'reexport':
+            binding = this.resolveExport(this._getModule(file, exported.source), exported.importedName, depth_ + 1);
+            break;
+        default:
+            throw new Error('unknown exported value kind ' + exported.kind);
+        }
+        return binding != null && binding.decl.type === 'EnumDeclaration' ? binding : null;
+    }
+
+    // Returns the enums named `name` that are declared in the loaded files.
+    findEnums(name/*: string*/)/*: TypeBinding[]*/ {
+        return this._findDeclarations(name, 'enum', Array.from(this.files.keys()));
+    }
+
+    // Returns the type aliases named `name` that are declared in the loaded files at `paths`.
+    findAliases(name/*: string*/, paths/*: string[]*/)/*: TypeBinding[]*/ {
+        return this._findDeclarations(name, 'alias', paths);
+    }
+
+    _findDeclarations(name/*: string*/, kind/*: 'alias' | 'enum'*/, paths/*: string[]*/)/*: TypeBinding[]*/ {
+        let res = [];
+        for (let path of paths) {
+            const file = this.files.get(path);
+            if (file == null || file instanceof Error || !Object.prototype.hasOwnProperty.call(file.localTypes, name)) {
+                continue;
+            }
+            const local = file.localTypes[name];
+            if (local.kind === kind) {
+                res.push({
+                    file,
+                    decl: local.decl,
+                });
+            }
+        }
+        return res;
+    }
+
+    // Resolves the constant named `name` in the scope of `file`.
+    // Returns null if there is no such constant.
+    resolveValue(file/*: SourceFile*/, name/*: string*/, depth_/*: number*/=0)/*: ?ValueBinding*/ {
+        if (!Object.prototype.hasOwnProperty.call(file.localValues, name)) {
+            return null;
+        }
+        const local = file.localValues[name];
+        switch (local.kind) {
+        case 'const':
+            return {
+                file,
+                name,
+                init: local.init,
+            };
+        case 'import':
+            return this.resolveExportedValue(this._getModule(file, local.source), local.importedName, depth_ + 1);
+        default:
+            throw new Error('unknown local value kind ' + local.kind);
+        }
+    }
+
+    // Resolves the constant exported from `file` as `name`.
+    // Returns null if there is no such export.
+    resolveExportedValue(file/*: SourceFile*/, name/*: string*/, depth_/*: number*/=0)/*: ?ValueBinding*/ {
+        if (depth_ > 100) {
+            throw new Error(`max recursion limit exceeded while resolving ${name} in ${file.path}`);
+        }
+        if (!Object.prototype.hasOwnProperty.call(file.exportedValues, name)) {
+            return null;
+        }
+        const exported = file.exportedValues[name];
+        switch (exported.kind) {
+        case 'local':
+            return this.resolveValue(file, exported.localName, depth_ + 1);
+        case 'reexport':
+            return this.resolveExportedValue(this._getModule(file, exported.source), exported.importedName, depth_ + 1);
+        default:
+            throw new Error('unknown exported value kind ' + exported.kind);
+        }
+    }
+}
+
+
+module.exports = {
+    SourceFile,
+    TypeResolver,
+};
@@ -0,0 +1,217 @@
+//@flow
+'use strict';
+
+// Checks that the precompiled validators behave like the ones that compile the schemas with ajv for the types of the
+// example: `checkX`, `assertX`, `parseX` and `sanitizeX` are called with the same inputs, with and without
+// `allErrors`, and have to return the same values and report the same errors.
+// The inputs are variations of valid values, e.g. with missing, extra or stringified properties.
+// Usage: node test/precompiled.js [number of inputs]
+
+const assert = require('assert');
+const fs = require('fs');
+const pathlib = require('path');
+const {makeValidatorModule} = require('../index');
+
+const EXAMPLE_PATH = pathlib.join(__dirname, '..', 'example', 'types.js');
+
+// Valid values of the example types, which the inputs are made from
+const A/*: Object*/ = {
+    num: 1234,
+    str: 'abcd',
+    bool: true,
+    numLit: 20,
+    strLit: 'bc',
+    numNull: null,
+};
+const SAMPLES/*: {[name: string]: mixed[]}*/ = {
+    A: [A, Object.assign({}, A, {numOpt: 3, numNull: 5})],
+    B: [{
+        arr: [A, A],
+        tuple: ['a', 2, 2],
+        c: 33,
+        d: null,
+        e: {a: 1, b: '3'},
+        f: {x: 3, y: 'z'},
+    }, {
+        arr: [],
+        tuple: ['b', 0, 1],
+        c: 'c',
+        d: true,
+        e: {a: 2, b: 3},
+        f: {},
+    }],
+    IA_exported: [{fdd: {x: 1, y: 'z'}}],
+    IB_exported: [{zf: 3}],
+    DoublyIndirectType3: ['d'],
+    Color: ['Red', 'Green'],
+};
+
+// Keys of the added properties, which are the keys of the samples and a few others
+const KEYS/*: string[]*/ = [];
+for (let name of Object.keys(SAMPLES)) {
+    SAMPLES[name].forEach(addKeys);
+}
+KEYS.push('extra', 'a b', '0');
+
+function addKeys(value/*: any*/) {
+    if (value === null || typeof value !== 'object') {
+        return;
+    }
+    for (let key of Object.keys(value)) {
+        if (!KEYS.includes(key)) {
+            KEYS.push(key);
+        }
+        addKeys(value[key]);
+    }
+}
+
+// Deterministic, so that a divergence can be reproduced
+let seed = 1;
+function random(n/*: number*/)/*: number*/ {
+    seed = (Math.imul(seed, 1103515245) + 12345) & 0x7fffffff;
+    // The low bits repeat too soon.
+    return (seed >>> 8) % n;
+}
+
+function randomValue(depth/*: number*/)/*: mixed*/ {
+    switch (random(depth > 2 ? 6 : 8)) {
+    case 0:
+        return null;
+    case 1:
+        return random(2) === 0;
+    case 2:
+        return random(5) - 2 + (random(4) === 0 ? 0.5 : 0);
+    case 3:
+        // Strings that can be coerced to other types, and the literals of the example
+        return ['', '1', '2.5', 'true', 'false', 'a', 'bc', 'd', 'Red', 'x'][random(10)];
+    case 4:
+        return [random(3) - 1];
+    case 5:
+        return ['1'];
+    case 6: {
+        let res = {};
+        for (let i = random(4); i > 0; i--) {
+            res[KEYS[random(KEYS.length)]] = randomValue(depth + 1);
+        }
+        return res;
+    }
+    default: {
+        let res = [];
+        for (let i = random(4); i > 0; i--) {
+            res.push(randomValue(depth + 1));
+        }
+        return res;
+    }
+    }
+}
+
+// Returns a copy of `value` with a random change somewhere in it.
+function mutate(value/*: any*/)/*: mixed*/ {
+    if (value !== null && typeof value === 'object' && random(4) !== 0) {
+        const res = Array.isArray(value) ? value.slice() : Object.assign({}, value);
+        const keys = Object.keys(res);
+        if (keys.length !== 0) {
+            const key = keys[random(keys.length)];
+            if (random(4) === 0) {
+                if (Array.isArray(res)) {
+                    res.splice(Number(key), 1);
+                } else {
+                    delete res[key];
+                }
+            } else {
+                res[key] = mutate(res[key]);
+            }
+        }
+        if (!Array.isArray(res) && random(4) === 0) {
+            res[KEYS[random(KEYS.length)]] = randomValue(1);
+        }
+        return res;
+    }
+    switch (random(4)) {
+    case 0:
+        return randomValue(0);
+    case 1:
+        // e.g. a query parameter that can occur more than once
+        return [value];
+    case 2:
+        // e.g. a query parameter
+        return value !== null && typeof value === 'object' ? value : String(value);
+    default:
+        return value;
+    }
+}
+
+// Returns what `fn` returns or throws for a copy of `input`, with the errors that it reports.
+function outcome(fn, input/*: mixed*/, opts/*: Object*/)/*: string*/ {
+    assert(typeof fn === 'function');
+    try {
+        const result = fn(JSON.parse(String(JSON.stringify(input))), opts);
+        return JSON.stringify({result, errors: fn.errors});
+    } catch (err) {
+        return JSON.stringify({error: err.message, errors: err.errors});
+    }
+}
+
+// Writes the module generated with `opts` next to this file, so that it finds ajv, and loads it.
+async function loadValidators(dir/*: string*/, fileName/*: string*/, opts/*: Object*/)/*: Promise<Object>*/ {
+    const {src} = await makeValidatorModule(EXAMPLE_PATH, Object.assign({
+        resolver: 'ast',
+        parse: true,
+        sanitize: true,
+        logger: () => {},
+    }, opts));
+    const path = pathlib.join(dir, fileName);
+    fs.writeFileSync(path, src);
+    return module.require(path);
+}
+
+async function main() {
+    const count = process.argv[2] != null ? Number(process.argv[2]) : 5000;
+    const dir = fs.mkdtempSync(pathlib.join(__dirname, 'out-'));
+    let ajvValidators;
+    let precompiledValidators;
+    try {
+        ajvValidators = await loadValidators(dir, 'ajv.validator.js', {});
+        precompiledValidators = await loadValidators(dir, 'precompiled.validator.js', {precompile: true});
+    } finally {
+        for (let fileName of fs.readdirSync(dir)) {
+            fs.unlinkSync(pathlib.join(dir, fileName));
+        }
+        fs.rmdirSync(dir);
+    }
+
+    const names = Object.keys(SAMPLES);
+    let divergences = 0;
+    let valid = 0;
+    for (let i = 0; i < count; i++) {
+        const name = names[random(names.length)];
+        const samples = SAMPLES[name];
+        const input = random(8) === 0 ? randomValue(0) : mutate(samples[random(samples.length)]);
+        if (ajvValidators['check' + name](input)) {
+            valid++;
+        }
+        for (let prefix of ['check', 'assert', 'parse', 'sanitize']) {
+            for (let allErrors of [false, true]) {
+                const expected = outcome(ajvValidators[prefix + name], input, {allErrors});
+                const actual = outcome(precompiledValidators[prefix + name], input, {allErrors});
+                if (actual !== expected) {
+                    divergences++;
+                    if (divergences <= 10) {
+                        console.log(`${prefix}${name}(${String(JSON.stringify(input))}, {allErrors: ${String(allErrors)}})`);
+                        console.log(`    ajv:         ${expected}`);
+                        console.log(`    precompiled: ${actual}`);
+                    }
+                }
+            }
+        }
+    }
+    console.log(`${count} inputs, ${valid} valid: ${divergences} divergences`);
+    if (divergences !== 0) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
@@ -0,0 +1,231 @@
+'use strict';
+
+const flowParser = require('flow-parser');
+
+
+// Translates the flow type declarations of generated validators to TypeScript, for their `.d.ts` files.
+// The declarations are parsed the same way as the types that are converted to JSON schema, so only the types that
+// flow-jsonschema supports are translated.
+
+// Flow utility types, which take the translated type arguments, with the argument nodes to tell which ones need
+// parentheses
+const UTILITY_TYPES = {
+    '$ReadOnly': ([t]) => `Readonly<${t}>`,
+    '$ReadOnlyArray': ([t]) => `ReadonlyArray<${t}>`,
+    '$Exact': ([t]) => t,
+    '$Keys': ([t], [node]) => `keyof ${parenthesize(t, node)}`,
+    '$Values': ([t], [node]) => `${parenthesize(t, node)}[keyof ${parenthesize(t, node)}]`,
+    '$Shape': ([t]) => `Partial<${t}>`,
+    '$Diff': ([a, b], [, nodeB]) => `Omit<${a}, keyof ${parenthesize(b, nodeB)}>`,
+    '$PropertyType': ([t, key], [node]) => `${parenthesize(t, node)}[${key}]`,
+    '$ElementType': ([t, key], [node]) => `${parenthesize(t, node)}[${key}]`,
+};
+// The TypeScript types that the translations refer to, which must not be shadowed by the translated declarations
+const BUILTIN_TYPES = ['Array', 'ReadonlyArray', 'Readonly', 'Partial', 'Omit', 'Record'];
+
+/*::
+type Translator = {|
+    // The TypeScript names of the declarations
+    names: {[name: string]: string},
+|};
+*/
+
+// Wraps the translation of `node` in parentheses if it cannot be used as an operand as is.
+function parenthesize(ts/*: string*/, node)/*: string*/ {
+    const compound = node.type === 'UnionTypeAnnotation' || node.type === 'IntersectionTypeAnnotation' ||
+        node.type === 'NullableTypeAnnotation' || node.type === 'ObjectTypeAnnotation' && / & /.test(ts) ||
+        node.type === 'GenericTypeAnnotation' && /^keyof /.test(ts);
+    return compound ? `(${ts})` : ts;
+}
+
+function propertyKey(key)/*: string*/ {
+    return key.type === 'Identifier' ? key.name : JSON.stringify(key.value);
+}
+
+// Flow's spreads override the properties before them, which is what `Omit` does in TypeScript.
+function overrideProperties(base/*: ?string*/, keys/*: string[]*/, obj/*: string*/)/*: string*/ {
+    if (base == null) {
+        return obj;
+    }
+    return keys.length === 0 ? `${base} & ${obj}` : `Omit<${base}, ${keys.join(' | ')}> & ${obj}`;
+}
+
+function translateObject(node, tr/*: Translator*/)/*: string*/ {
+    if (node.callProperties.length !== 0 || node.internalSlots.length !== 0) {
+        throw new Error('call properties cannot be translated to TypeScript');
+    }
+    // The type of the spreads and properties so far
+    let res = null;
+    let members = [];
+    let keys = [];
+    const flush = () => {
+        if (members.length !== 0) {
+            res = overrideProperties(res, keys, `{${members.join('; ')}}`);
+            members = [];
+            keys = [];
+        }
+    };
+    for (let prop of node.properties) {
+        if (prop.type === 'ObjectTypeSpreadProperty') {
+            flush();
+            const spread = parenthesize(translateType(prop.argument, tr), prop.argument);
+            res = res == null ? spread : `Omit<${res}, keyof ${spread}> & ${spread}`;
+            continue;
+        }
+        if (prop.method || prop.kind !== 'init') {
+            throw new Error('methods and accessors cannot be translated to TypeScript');
+        }
+        const key = propertyKey(prop.key);
+        const readonly = prop.variance != null && prop.variance.kind === 'plus' ? 'readonly ' : '';
+        members.push(`${readonly}${key}${prop.optional ? '?' : ''}: ${translateType(prop.value, tr)}`);
+        keys.push(prop.key.type === 'Identifier' ? JSON.stringify(key) : key);
+    }
+    flush();
+
+    // Unlike flow's, TypeScript's index signatures apply to the other properties as well, so they are separate types.
+    let indexers = node.indexers.map(indexer => {
+        const value = translateType(indexer.value, tr);
+        const readonly = indexer.variance != null && indexer.variance.kind === 'plus' ? 'readonly ' : '';
+        if (indexer.key.type === 'StringTypeAnnotation' || indexer.key.type === 'NumberTypeAnnotation') {
+            const name = indexer.id != null ? indexer.id.name : 'key';
+            return `{${readonly}[${name}: ${translateType(indexer.key, tr)}]: ${value}}`;
+        }
+        // Flow doesn't require every key to be present.
+        const record = `Partial<Record<${translateType(indexer.key, tr)}, ${value}>>`;
+        return readonly !== '' ? `Readonly<${record}>` : record;
+    });
+    if (res == null && indexers.length === 0) {
+        return '{}';
+    }
+    return [...(res != null ? [res] : []), ...indexers].join(' & ');
+}
+
+function typeArgNodes(node)/*: Object[]*/ {
+    return node.typeParameters != null ? node.typeParameters.params : [];
+}
+
+function translateType(node, tr/*: Translator*/)/*: string*/ {
+    switch (node.type) {
+    case 'StringLiteralTypeAnnotation':
+        return JSON.stringify(node.value);
+    case 'NumberLiteralTypeAnnotation':
+    case 'BooleanLiteralTypeAnnotation':
+        return String(node.value);
+    case 'NullLiteralTypeAnnotation':
+        return 'null';
+    case 'StringTypeAnnotation':
+        return 'string';
+    case 'NumberTypeAnnotation':
+        return 'number';
+    case 'BooleanTypeAnnotation':
+        return 'boolean';
+    case 'VoidTypeAnnotation':
+        return 'undefined';
+    case 'AnyTypeAnnotation':
+        return 'any';
+    case 'MixedTypeAnnotation':
+        return 'unknown';
+    case 'EmptyTypeAnnotation':
+        return 'never';
+
+    case 'NullableTypeAnnotation':
+        return `${parenthesize(translateType(node.typeAnnotation, tr), node.typeAnnotation)} | null | undefined`;
+    case 'UnionTypeAnnotation':
+        return node.types.map(type => parenthesize(translateType(type, tr), type)).join(' | ');
+    case 'IntersectionTypeAnnotation':
+        return node.types.map(type => parenthesize(translateType(type, tr), type)).join(' & ');
+    case 'ArrayTypeAnnotation':
+        return `Array<${translateType(node.elementType, tr)}>`;
+    case 'TupleTypeAnnotation':
+        return `[${node.types.map(type => translateType(type, tr)).join(', ')}]`;
+    case 'ObjectTypeAnnotation':
+        return translateObject(node, tr);
+
+    case 'GenericTypeAnnotation': {
+        if (node.id.type !== 'Identifier') {
+            throw new Error('qualified type names cannot be translated to TypeScript');
+        }
+        const name = node.id.name;
+        const argNodes = typeArgNodes(node);
+        const args = argNodes.map(arg => translateType(arg, tr));
+        if (Object.prototype.hasOwnProperty.call(UTILITY_TYPES, name)) {
+            return UTILITY_TYPES[name](args, argNodes);
+        }
+        const tsName = Object.prototype.hasOwnProperty.call(tr.names, name) ? tr.names[name] : name;
+        // `Def<>` uses the defaults of every type parameter, which is `Def` in TypeScript.
+        return args.length !== 0 ? `${tsName}<${args.join(', ')}>` : tsName;
+    }
+
+    default:
+        throw new Error(`${node.type} cannot be translated to TypeScript`);
+    }
+}
+
+function translateTypeParams(typeParameters, tr/*: Translator*/)/*: string*/ {
+    if (typeParameters == null) {
+        return '';
+    }
+    const params = typeParameters.params.map(param => {
+        let res = param.name;
+        if (param.bound != null) {
+            res += ' extends ' + translateType(param.bound.typeAnnotation, tr);
+        }
+        if (param.default != null) {
+            res += ' = ' + translateType(param.default, tr);
+        }
+        return res;
+    });
+    return `<${params.join(', ')}>`;
+}
+
+// Translates the type aliases in `flowSrc` to TypeScript declarations.
+// Declarations that are named like the TypeScript types the translations use are renamed and exported under their
+// own names, so `names` maps the name of every declaration to the name to use for it in the same file.
+function flowToTypeScript(flowSrc/*: string*/)/*: {|declarations: string, names: {[name: string]: string}|}*/ {
+    const ast = flowParser.parse(flowSrc, {enums: true});
+    if (ast.errors.length !== 0) {
+        throw new Error('cannot parse the flow declarations: ' + ast.errors[0].message);
+    }
+    const decls = ast.body.map(stmt => {
+        const exported = stmt.type === 'ExportNamedDeclaration';
+        const decl = exported ? stmt.declaration : stmt;
+        if (decl == null || decl.type !== 'TypeAlias') {
+            throw new Error(`${decl != null ? decl.type : stmt.type} cannot be translated to TypeScript`);
+        }
+        return {exported, decl};
+    });
+
+    let tr = {names: {}};
+    const declaredNames = new Set(decls.map(({decl}) => decl.id.name));
+    for (let name of declaredNames) {
+        let tsName = name;
+        if (BUILTIN_TYPES.includes(name)) {
+            tsName = name + '_';
+            while (declaredNames.has(tsName)) {
+                tsName += '_';
+            }
+        }
+        tr.names[name] = tsName;
+    }
+
+    let res = [];
+    let renamedExports = [];
+    for (let {exported, decl} of decls) {
+        const name = decl.id.name;
+        const tsName = tr.names[name];
+        const type = translateType(decl.right, tr);
+        if (exported && tsName !== name) {
+            renamedExports.push(`${tsName} as ${name}`);
+        }
+        const exportKeyword = exported && tsName === name ? 'export ' : '';
+        res.push(`${exportKeyword}type ${tsName}${translateTypeParams(decl.typeParameters, tr)} = ${type};`);
+    }
+    if (renamedExports.length !== 0) {
+        res.push(`export {${renamedExports.join(', ')}};`);
+    }
+    return {declarations: res.join('\n'), names: tr.names};
+}
+
+module.exports = {
+    flowToTypeScript,
+};